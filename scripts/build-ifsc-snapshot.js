@@ -0,0 +1,57 @@
+/**
+ * IFSC Snapshot Build
+ * Run with: node scripts/build-ifsc-snapshot.js path/to/ifsc/src
+ *
+ * Writes src/data/ifsc-snapshot.json, the IFSC list bundled with the app and
+ * used until an admin imports a full directory. The source is the src folder
+ * of the Razorpay IFSC release (npm package "ifsc": IFSC.json, banknames.json,
+ * sublet.json), MIT licensed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT = path.join(__dirname, '../src/data/ifsc-snapshot.json');
+
+function readJson(dir, file) {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+function run() {
+    const dir = process.argv[2];
+    if (!dir) {
+        console.error('Usage: node scripts/build-ifsc-snapshot.js path/to/ifsc/src');
+        process.exit(1);
+    }
+
+    try {
+        const codes = readJson(dir, 'IFSC.json');
+        const banks = readJson(dir, 'banknames.json');
+        // Codes issued by a sponsor bank to another bank: IFSC -> bank code
+        const sublets = readJson(dir, 'sublet.json');
+
+        let count = 0;
+        for (const branches of Object.values(codes)) count += branches.length;
+
+        const version = (() => {
+            try { return readJson(path.join(dir, '..'), 'package.json').version; } catch (e) { return null; }
+        })();
+
+        fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+        fs.writeFileSync(OUTPUT, JSON.stringify({
+            source: `Razorpay IFSC${version ? ` ${version}` : ''}`,
+            builtAt: new Date().toISOString().slice(0, 10),
+            count,
+            banks,
+            sublets,
+            codes
+        }));
+        console.log(`Wrote ${count} codes for ${Object.keys(codes).length} banks to ${OUTPUT}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Build failed:', error);
+        process.exit(1);
+    }
+}
+
+run();
@@ -0,0 +1,36 @@
+/**
+ * IFSC Directory Import
+ * Run with: node scripts/import-ifsc.js path/to/IFSC.csv
+ *
+ * Same as the admin upload (Manual Payout tab): replaces ifsc_codes with the
+ * codes in the file. Useful for the first import, as the full file is large.
+ */
+
+const fs = require('fs');
+const { sequelize, IfscCode } = require('../src/models');
+const ifscDirectory = require('../src/services/ifsc');
+
+async function run() {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node scripts/import-ifsc.js path/to/IFSC.csv');
+        process.exit(1);
+    }
+
+    try {
+        await IfscCode.sync();
+        const result = await ifscDirectory.importCsv(fs.readFileSync(file, 'utf8'));
+        if (result.error) {
+            console.error('Import failed:', result.error);
+            process.exit(1);
+        }
+        console.log(`Imported ${result.imported} codes (${result.removed} removed, ${result.skipped} rows skipped).`);
+        await sequelize.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('Import failed:', error);
+        process.exit(1);
+    }
+}
+
+run();
@@ -0,0 +1,31 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Saved beneficiaries: link payout orders to their beneficiaries row (the table itself is created by sync)
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('orders');
+
+        if (!tableInfo.beneficiaryId) {
+            console.log('Adding beneficiaryId column...');
+            await queryInterface.addColumn('orders', 'beneficiaryId', {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Payouts to a saved beneficiary: FK to beneficiaries.id'
+            });
+            await queryInterface.addIndex('orders', ['beneficiaryId']);
+            console.log('beneficiaryId added.');
+        } else {
+            console.log('beneficiaryId already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
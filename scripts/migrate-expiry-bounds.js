@@ -0,0 +1,41 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Per-merchant bounds for the payin expireMinutes parameter
+const COLUMNS = {
+    minExpireMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 5,
+        comment: 'Shortest payin expiry a merchant may request (expireMinutes)'
+    },
+    maxExpireMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 30,
+        comment: 'Longest payin expiry a merchant may request (expireMinutes)'
+    }
+};
+
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('users');
+
+        for (const [name, definition] of Object.entries(COLUMNS)) {
+            if (!tableInfo[name]) {
+                console.log(`Adding ${name} column...`);
+                await queryInterface.addColumn('users', name, definition);
+                console.log(`${name} added.`);
+            } else {
+                console.log(`${name} already exists.`);
+            }
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
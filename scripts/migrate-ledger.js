@@ -0,0 +1,53 @@
+/**
+ * Ledger Migration
+ * Run with: node scripts/migrate-ledger.js
+ *
+ * Creates the ledger_entries table and posts an opening balance journal for
+ * every merchant that has no ledger history yet, so the ledger matches the
+ * existing users.balance / users.pendingBalance values.
+ */
+
+const { sequelize, User, LedgerEntry } = require('../src/models');
+const ledger = require('../src/services/ledger');
+
+async function migrate() {
+    try {
+        await LedgerEntry.sync();
+        console.log('ledger_entries table ready.');
+
+        const merchants = await User.findAll({ where: { role: 'merchant' } });
+        let posted = 0;
+
+        for (const merchant of merchants) {
+            const existing = await LedgerEntry.count({ where: { merchantId: merchant.id } });
+            if (existing > 0) {
+                console.log(`${merchant.username}: ledger already has ${existing} entries, skipped.`);
+                continue;
+            }
+
+            const t = await sequelize.transaction();
+            try {
+                // Re-read under lock so no balance change slips in between
+                const locked = await User.findByPk(merchant.id, { transaction: t, lock: t.LOCK.UPDATE });
+                const journalId = await ledger.recordOpeningBalance(locked, t);
+                await t.commit();
+
+                if (journalId) {
+                    posted++;
+                    console.log(`${merchant.username}: opening balance ₹${locked.balance}, pending ₹${locked.pendingBalance}`);
+                }
+            } catch (error) {
+                await t.rollback();
+                throw error;
+            }
+        }
+
+        console.log(`Migration completed. Opening balances posted for ${posted} merchant(s).`);
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
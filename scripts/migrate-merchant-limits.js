@@ -0,0 +1,51 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Per-merchant amount limit overrides on users (null = use the channel limit)
+const COLUMNS = {
+    minPayin: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Merchant payin minimum override (null = channel limit)'
+    },
+    maxPayin: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Merchant payin maximum override (null = channel limit)'
+    },
+    minPayout: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Merchant payout minimum override (null = channel limit)'
+    },
+    maxPayout: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Merchant payout maximum override (null = channel limit)'
+    }
+};
+
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('users');
+
+        for (const [name, definition] of Object.entries(COLUMNS)) {
+            if (!tableInfo[name]) {
+                console.log(`Adding ${name} column...`);
+                await queryInterface.addColumn('users', name, definition);
+                console.log(`${name} added.`);
+            } else {
+                console.log(`${name} already exists.`);
+            }
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,30 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Rate limit for merchant-requested upstream refreshes (query with refresh=true)
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('orders');
+
+        if (!tableInfo.lastRefreshAt) {
+            console.log('Adding lastRefreshAt column...');
+            await queryInterface.addColumn('orders', 'lastRefreshAt', {
+                type: DataTypes.DATE,
+                allowNull: true,
+                comment: 'Last merchant-requested upstream refresh (query with refresh=true), for rate limiting'
+            });
+            console.log('lastRefreshAt added.');
+        } else {
+            console.log('lastRefreshAt already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,38 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Merchant payout approval: threshold per merchant, 'awaiting_approval' order status
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('users');
+
+        if (!tableInfo.payoutApprovalThreshold) {
+            console.log('Adding payoutApprovalThreshold column...');
+            await queryInterface.addColumn('users', 'payoutApprovalThreshold', {
+                type: DataTypes.DECIMAL(14, 2),
+                allowNull: true,
+                comment: 'Payouts above this amount wait for approval in the merchant dashboard (null = off)'
+            });
+            console.log('payoutApprovalThreshold added.');
+        } else {
+            console.log('payoutApprovalThreshold already exists.');
+        }
+
+        console.log('Updating status column...');
+        await queryInterface.changeColumn('orders', 'status', {
+            type: DataTypes.ENUM('pending', 'processing', 'success', 'failed', 'expired', 'awaiting_approval'),
+            defaultValue: 'pending',
+            comment: 'awaiting_approval = payout above the merchant approval threshold, held until approved in the dashboard'
+        });
+        console.log('status updated.');
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
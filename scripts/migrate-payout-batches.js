@@ -0,0 +1,31 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Batch payouts: link payout orders to their payout_batches row (the table itself is created by sync)
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('orders');
+
+        if (!tableInfo.batchId) {
+            console.log('Adding batchId column...');
+            await queryInterface.addColumn('orders', 'batchId', {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Batch payout items: FK to payout_batches.id'
+            });
+            await queryInterface.addIndex('orders', ['batchId']);
+            console.log('batchId added.');
+        } else {
+            console.log('batchId already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,43 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Payout failover: backup payout channels per merchant, provider attempts per order
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+
+        const userInfo = await queryInterface.describeTable('users');
+        if (!userInfo.payoutFailoverChannels) {
+            console.log('Adding payoutFailoverChannels column...');
+            await queryInterface.addColumn('users', 'payoutFailoverChannels', {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'JSON array of backup payout channels, tried in order when the payout channel rejects a payout'
+            });
+            console.log('payoutFailoverChannels added.');
+        } else {
+            console.log('payoutFailoverChannels already exists.');
+        }
+
+        const orderInfo = await queryInterface.describeTable('orders');
+        if (!orderInfo.payoutAttempts) {
+            console.log('Adding payoutAttempts column...');
+            await queryInterface.addColumn('orders', 'payoutAttempts', {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Provider attempts as JSON: [{ channel, success, error, at }] (payout failover)'
+            });
+            console.log('payoutAttempts added.');
+        } else {
+            console.log('payoutAttempts already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
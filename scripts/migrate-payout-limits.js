@@ -0,0 +1,59 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Payout velocity limits per merchant; payout destination per order for per-account limits
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+
+        const userInfo = await queryInterface.describeTable('users');
+        if (!userInfo.payoutLimits) {
+            console.log('Adding payoutLimits column...');
+            await queryInterface.addColumn('users', 'payoutLimits', {
+                type: DataTypes.TEXT,
+                allowNull: true,
+                comment: 'Payout velocity limits as JSON: { maxAmount, hourlyCount, dailyVolume, accountDailyCount, accountDailyVolume } (null/0 = no limit)'
+            });
+            console.log('payoutLimits added.');
+        } else {
+            console.log('payoutLimits already exists.');
+        }
+
+        const orderInfo = await queryInterface.describeTable('orders');
+        if (!orderInfo.payoutAccount) {
+            console.log('Adding payoutAccount column...');
+            await queryInterface.addColumn('orders', 'payoutAccount', {
+                type: DataTypes.STRING(150),
+                allowNull: true,
+                comment: 'Payout destination for per-account limits: IFSC:account, VPA or wallet address'
+            });
+            await queryInterface.addIndex('orders', ['merchantId', 'payoutAccount', 'createdAt']);
+            console.log('payoutAccount added.');
+        } else {
+            console.log('payoutAccount already exists.');
+        }
+
+        // Per-account limits look back 24 hours, so recent payouts need their destination
+        console.log('Backfilling payoutAccount for recent payouts and refunds...');
+        const [, result] = await sequelize.query(`
+            UPDATE orders SET payoutAccount = CASE payoutType
+                WHEN 'upi' THEN LOWER(JSON_UNQUOTE(JSON_EXTRACT(payoutDetails, '$.vpa')))
+                WHEN 'usdt' THEN IF(JSON_UNQUOTE(JSON_EXTRACT(payoutDetails, '$.walletAddress')) LIKE '0x%',
+                    LOWER(JSON_UNQUOTE(JSON_EXTRACT(payoutDetails, '$.walletAddress'))),
+                    JSON_UNQUOTE(JSON_EXTRACT(payoutDetails, '$.walletAddress')))
+                ELSE CONCAT(JSON_UNQUOTE(JSON_EXTRACT(payoutDetails, '$.ifsc')), ':', JSON_UNQUOTE(JSON_EXTRACT(payoutDetails, '$.account')))
+            END
+            WHERE type IN ('payout', 'refund') AND payoutAccount IS NULL AND payoutDetails IS NOT NULL
+                AND createdAt >= NOW() - INTERVAL 2 DAY
+        `);
+        console.log(`payoutAccount set on ${result && result.affectedRows !== undefined ? result.affectedRows : 'recent'} payouts.`);
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
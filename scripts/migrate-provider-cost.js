@@ -0,0 +1,66 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Provider cost columns (channel_cost_rates itself is created by sync)
+const COLUMNS = {
+    channels: {
+        costPayinRate: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 0.00,
+            comment: 'Provider cost: payin percentage charged to us (history in channel_cost_rates)'
+        },
+        costPayoutRate: {
+            type: DataTypes.DECIMAL(5, 2),
+            allowNull: false,
+            defaultValue: 0.00,
+            comment: 'Provider cost: payout percentage charged to us'
+        },
+        costPayoutFixedFee: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: false,
+            defaultValue: 0.00,
+            comment: 'Provider cost: fixed payout fee in INR charged to us'
+        }
+    },
+    orders: {
+        providerCost: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true,
+            comment: 'What the upstream provider charged us (set when the order succeeds)'
+        },
+        margin: {
+            type: DataTypes.DECIMAL(10, 2),
+            allowNull: true,
+            comment: 'fee - providerCost'
+        }
+    }
+};
+
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+
+        for (const [table, columns] of Object.entries(COLUMNS)) {
+            const tableInfo = await queryInterface.describeTable(table);
+
+            for (const [name, definition] of Object.entries(columns)) {
+                if (!tableInfo[name]) {
+                    console.log(`Adding ${table}.${name} column...`);
+                    await queryInterface.addColumn(table, name, definition);
+                    console.log(`${table}.${name} added.`);
+                } else {
+                    console.log(`${table}.${name} already exists.`);
+                }
+            }
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,39 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Payin refunds: 'refund' order type and the link back to the original payin
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('orders');
+
+        console.log('Updating type column...');
+        await queryInterface.changeColumn('orders', 'type', {
+            type: DataTypes.ENUM('payin', 'payout', 'refund'),
+            allowNull: false,
+            comment: 'refund = money returned to the payer of a successful payin (paid out like a payout)'
+        });
+        console.log('type updated.');
+
+        if (!tableInfo.parentOrderId) {
+            console.log('Adding parentOrderId column...');
+            await queryInterface.addColumn('orders', 'parentOrderId', {
+                type: DataTypes.UUID,
+                allowNull: true,
+                comment: 'Refund orders: FK to the original payin order (orders.id)'
+            });
+            await queryInterface.addIndex('orders', ['parentOrderId']);
+            console.log('parentOrderId added.');
+        } else {
+            console.log('parentOrderId already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
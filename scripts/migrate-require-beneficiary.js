@@ -0,0 +1,30 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Per-merchant switch that only allows bank/UPI payouts to saved beneficiaries
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('users');
+
+        if (!tableInfo.requireBeneficiary) {
+            console.log('Adding requireBeneficiary column...');
+            await queryInterface.addColumn('users', 'requireBeneficiary', {
+                type: DataTypes.BOOLEAN,
+                defaultValue: false,
+                comment: 'Bank/UPI payouts only to saved beneficiaries (cooling-off and first-payout cap always apply)'
+            });
+            console.log('requireBeneficiary added.');
+        } else {
+            console.log('requireBeneficiary already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
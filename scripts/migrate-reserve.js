@@ -0,0 +1,56 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Rolling reserve / T+N availability columns on users
+const COLUMNS = {
+    unsettledBalance: {
+        type: DataTypes.DECIMAL(14, 2),
+        defaultValue: 0.00,
+        comment: 'Payin credits waiting for T+N availability (cached from ledger_entries)'
+    },
+    reservedBalance: {
+        type: DataTypes.DECIMAL(14, 2),
+        defaultValue: 0.00,
+        comment: 'Rolling reserve held from payin credits (cached from ledger_entries)'
+    },
+    reservePercent: {
+        type: DataTypes.DECIMAL(5, 2),
+        defaultValue: 0.00,
+        comment: 'Percentage of each payin credit held as rolling reserve'
+    },
+    reserveDays: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Days the rolling reserve is held before release'
+    },
+    settlementDelayDays: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'T+N: days before the non-reserved part of a payin becomes available'
+    }
+};
+
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('users');
+
+        for (const [name, definition] of Object.entries(COLUMNS)) {
+            if (!tableInfo[name]) {
+                console.log(`Adding ${name} column...`);
+                await queryInterface.addColumn('users', name, definition);
+                console.log(`${name} added.`);
+            } else {
+                console.log(`${name} already exists.`);
+            }
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,46 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Scheduled settlement columns on settlements (settlement_schedules is created by sync)
+const COLUMNS = {
+    source: {
+        type: DataTypes.ENUM('manual', 'scheduled'),
+        defaultValue: 'manual',
+        comment: 'manual = merchant request, scheduled = automatic settlement cycle'
+    },
+    scheduleId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'FK to settlement_schedules for scheduled settlements'
+    },
+    destination: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Payout destination as JSON (wallet or bank account)'
+    }
+};
+
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('settlements');
+
+        for (const [name, definition] of Object.entries(COLUMNS)) {
+            if (!tableInfo[name]) {
+                console.log(`Adding ${name} column...`);
+                await queryInterface.addColumn('settlements', name, definition);
+                console.log(`${name} added.`);
+            } else {
+                console.log(`${name} already exists.`);
+            }
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,31 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Smart channel payouts: payin and payout ranges in custom_channel_ranges
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('custom_channel_ranges');
+
+        if (!tableInfo.direction) {
+            console.log('Adding direction column...');
+            await queryInterface.addColumn('custom_channel_ranges', 'direction', {
+                type: DataTypes.ENUM('payin', 'payout'),
+                allowNull: false,
+                defaultValue: 'payin',
+                comment: 'Whether the range routes payins or payouts'
+            });
+            console.log('direction added (existing ranges are payin ranges).');
+        } else {
+            console.log('direction already exists.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,51 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// Upstream status poller bookkeeping on orders
+const COLUMNS = {
+    statusSource: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'What set the final status: callback (provider callback), poll (status poller) or query (merchant refresh)'
+    },
+    pollAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Upstream status queries made by the status poller'
+    },
+    nextPollAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the status poller queries the upstream next (null = first delay after createdAt)'
+    }
+};
+
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+        const tableInfo = await queryInterface.describeTable('orders');
+
+        for (const [name, definition] of Object.entries(COLUMNS)) {
+            if (!tableInfo[name]) {
+                console.log(`Adding ${name} column...`);
+                await queryInterface.addColumn('orders', name, definition);
+                console.log(`${name} added.`);
+            } else {
+                console.log(`${name} already exists.`);
+            }
+        }
+
+        if (!tableInfo.nextPollAt) {
+            await queryInterface.addIndex('orders', ['status', 'nextPollAt']);
+            console.log('status/nextPollAt index added.');
+        }
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
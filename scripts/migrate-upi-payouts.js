@@ -0,0 +1,25 @@
+const sequelize = require('../src/config/database');
+const { DataTypes } = require('sequelize');
+
+// UPI VPA payouts: 'upi' payout type on orders
+async function migrate() {
+    try {
+        const queryInterface = sequelize.getQueryInterface();
+
+        console.log('Updating payoutType column...');
+        await queryInterface.changeColumn('orders', 'payoutType', {
+            type: DataTypes.ENUM('bank', 'usdt', 'upi'),
+            allowNull: true,
+            comment: 'For payout and refund orders: bank, usdt or upi (VPA)'
+        });
+        console.log('payoutType updated.');
+
+        console.log('Migration completed successfully.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+}
+
+migrate();
@@ -0,0 +1,55 @@
+/**
+ * Ledger Reconciliation
+ * Run with: node scripts/reconcile-ledger.js
+ *
+ * Compares the cached users balance columns against
+ * the balances derived from ledger_entries and checks every journal nets to zero.
+ * Exits with code 1 if any mismatch is found.
+ */
+
+const { sequelize, User, LedgerEntry } = require('../src/models');
+const ledger = require('../src/services/ledger');
+
+async function reconcile() {
+    let mismatches = 0;
+
+    try {
+        const merchants = await User.findAll({ where: { role: 'merchant' } });
+
+        for (const merchant of merchants) {
+            const derived = await ledger.getLedgerBalances(merchant.id);
+
+            for (const field of Object.values(ledger.CACHED_ACCOUNTS)) {
+                const cached = parseFloat(merchant[field]) || 0;
+                if (Math.abs(derived[field] - cached) >= 0.01) {
+                    mismatches++;
+                    console.log(`MISMATCH ${merchant.username} (#${merchant.id}): ${field} ${cached} vs ledger ${derived[field]}`);
+                }
+            }
+        }
+
+        // Every journal must balance
+        const unbalanced = await LedgerEntry.findAll({
+            attributes: [
+                'journalId',
+                [sequelize.literal("SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END)"), 'net']
+            ],
+            group: ['journalId'],
+            having: sequelize.literal("SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0"),
+            raw: true
+        });
+
+        for (const row of unbalanced) {
+            mismatches++;
+            console.log(`UNBALANCED journal ${row.journalId}: net ${row.net}`);
+        }
+
+        console.log(`Checked ${merchants.length} merchant(s). ${mismatches === 0 ? 'Ledger is in sync.' : `${mismatches} problem(s) found.`}`);
+        process.exit(mismatches === 0 ? 0 : 1);
+    } catch (error) {
+        console.error('Reconciliation failed:', error);
+        process.exit(1);
+    }
+}
+
+reconcile();
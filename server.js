@@ -15,6 +15,7 @@ const authRoutes = require('./src/routes/auth');
 const payinRoutes = require('./src/routes/api/payin');
 const payoutRoutes = require('./src/routes/api/payout');
 const balanceRoutes = require('./src/routes/api/balance');
+const configRoutes = require('./src/routes/api/config');
 const callbackRoutes = require('./src/routes/api/callbacks');
 const paypageRoutes = require('./src/routes/paypage');
 const adminRoutes = require('./src/routes/admin');
@@ -28,6 +29,15 @@ const telegramBot = require('./src/services/telegramBot');
 console.log('[Server] Initializing Telegram Bot...');
 telegramBot.init(process.env.TELEGRAM_BOT_TOKEN);
 
+// Background Jobs
+const scheduler = require('./src/services/scheduler');
+const reserve = require('./src/services/reserve');
+const settlementScheduler = require('./src/services/settlementScheduler');
+const { purgeExpiredKeys } = require('./src/middleware/idempotency');
+const orderExpiry = require('./src/services/orderExpiry');
+const statusPoller = require('./src/services/statusPoller');
+const payoutBatch = require('./src/services/payoutBatch');
+
 // Passport Config
 require('./src/config/passport')(passport);
 
@@ -60,6 +70,10 @@ app.use((req, res, next) => {
     next();
 });
 
+// Batch payouts carry up to thousands of items; everything else keeps the default 100kb limit
+const BATCH_ROUTES = ['/api/payout/batch', '/api/merchant/payout-batches'];
+app.use(BATCH_ROUTES, express.urlencoded({ extended: true, limit: '5mb' }));
+app.use(BATCH_ROUTES, express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
@@ -84,6 +98,8 @@ app.use(flash());
 app.use('/api/payin', payinRoutes);
 app.use('/api/payout', payoutRoutes);
 app.use('/api/balance', balanceRoutes);
+// Signed merchant config; mounted before the session-based /api/merchant routes
+app.use('/api/merchant/config', configRoutes);
 
 // ============================================
 // Callback Routes (from upstream providers)
@@ -350,9 +366,20 @@ sequelize.sync().then(async () => {
         }
     });
 
+    // Background jobs (single instance in PM2 cluster mode)
+    if (scheduler.isPrimaryInstance()) {
+        scheduler.every('reserve-release', 5 * 60 * 1000, reserve.releaseDueHolds);
+        scheduler.every('settlement-schedules', 5 * 60 * 1000, settlementScheduler.runDueSchedules);
+        scheduler.every('idempotency-purge', 60 * 60 * 1000, purgeExpiredKeys);
+        scheduler.every('order-expiry', 5 * 60 * 1000, orderExpiry.expireStaleOrders);
+        scheduler.every('status-poller', 60 * 1000, statusPoller.pollStuckOrders);
+        scheduler.every('payout-batches', 60 * 1000, payoutBatch.processPendingBatches);
+    }
+
     // Graceful shutdown handling for high-traffic environments
     const gracefulShutdown = async (signal) => {
         console.log(`[Server] Received ${signal}, shutting down gracefully...`);
+        scheduler.stopAll();
 
         server.close(async () => {
             console.log('[Server] HTTP server closed');
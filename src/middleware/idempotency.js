@@ -0,0 +1,154 @@
+/**
+ * Idempotency Middleware
+ * Honours the Idempotency-Key header on merchant create endpoints.
+ * Must run after validateMerchant (needs req.merchant).
+ *
+ * - First request: the key is reserved and the response stored.
+ * - Same key + same body: the stored response is replayed.
+ * - Same key + different body: rejected with IDEMPOTENCY_KEY_MISMATCH.
+ * - Same key while the first request is still running: IDEMPOTENCY_IN_PROGRESS.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A reservation older than this is treated as abandoned (e.g. process restart).
+// Well above a payout that fails over through several channels at up to 60s each.
+const PROCESSING_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Stable JSON: object keys sorted so field order does not change the hash
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+            acc[key] = canonicalize(value[key]);
+            return acc;
+        }, {});
+    }
+    return value;
+}
+
+function hashRequest(endpoint, body) {
+    return crypto.createHash('sha256')
+        .update(`${endpoint}\n${JSON.stringify(canonicalize(body || {}))}`)
+        .digest('hex');
+}
+
+function errorResponse(res, httpStatus, errorCode, message) {
+    return res.status(httpStatus).json({
+        status: 'error',
+        errorCode,
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Reserve the key, or return the existing row if someone already holds it
+ */
+async function reserve(merchantId, key, endpoint, requestHash) {
+    const expiresAt = new Date(Date.now() + KEY_TTL_MS);
+    try {
+        const record = await IdempotencyKey.create({ merchantId, idempotencyKey: key, endpoint, requestHash, expiresAt });
+        return { record, created: true };
+    } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ where: { merchantId, idempotencyKey: key } });
+    if (!existing) return reserve(merchantId, key, endpoint, requestHash);
+
+    // Expired keys can be reused for a new request
+    if (existing.expiresAt < new Date()) {
+        const [updated] = await IdempotencyKey.update(
+            { endpoint, requestHash, status: 'processing', responseStatus: null, responseBody: null, expiresAt },
+            { where: { id: existing.id, expiresAt: { [Op.lt]: new Date() } } }
+        );
+        if (updated) return { record: await IdempotencyKey.findByPk(existing.id), created: true };
+        return { record: await IdempotencyKey.findByPk(existing.id), created: false };
+    }
+
+    return { record: existing, created: false };
+}
+
+async function idempotency(req, res, next) {
+    const key = req.headers['idempotency-key'];
+    if (!key) return next();
+
+    try {
+        if (key.length > MAX_KEY_LENGTH) {
+            return errorResponse(res, 400, 'INVALID_IDEMPOTENCY_KEY', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+        }
+
+        const merchantId = req.merchant.id;
+        const endpoint = req.baseUrl + req.path;
+        const requestHash = hashRequest(endpoint, req.body);
+
+        const { record, created } = await reserve(merchantId, key, endpoint, requestHash);
+
+        if (!created) {
+            if (record.requestHash !== requestHash) {
+                return errorResponse(res, 422, 'IDEMPOTENCY_KEY_MISMATCH',
+                    'Idempotency-Key was already used with a different request. Use a new key for a new request');
+            }
+
+            if (record.status === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(record.responseStatus || 200).json(JSON.parse(record.responseBody));
+            }
+
+            const stale = Date.now() - new Date(record.updatedAt).getTime() > PROCESSING_TIMEOUT_MS;
+            if (!stale) {
+                return errorResponse(res, 409, 'IDEMPOTENCY_IN_PROGRESS',
+                    'A request with this Idempotency-Key is still being processed. Retry later');
+            }
+            // Abandoned reservation: take it over (also refreshes updatedAt).
+            // Conditional so only one of several concurrent retries wins it.
+            const [takenOver] = await IdempotencyKey.update(
+                { expiresAt: new Date(Date.now() + KEY_TTL_MS) },
+                { where: { id: record.id, status: 'processing', updatedAt: record.updatedAt } }
+            );
+            if (!takenOver) {
+                return errorResponse(res, 409, 'IDEMPOTENCY_IN_PROGRESS',
+                    'A request with this Idempotency-Key is still being processed. Retry later');
+            }
+        }
+
+        // Store the response before it is sent so an immediate retry sees it
+        const originalJson = res.json.bind(res);
+        res.json = (body) => {
+            const persist = res.statusCode >= 500
+                // Server errors are not final; release the key so the merchant can retry
+                ? record.destroy()
+                : record.update({ status: 'completed', responseStatus: res.statusCode, responseBody: JSON.stringify(body) });
+
+            persist
+                .catch(error => console.error('[Idempotency] Failed to store response:', error.message))
+                .finally(() => originalJson(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        console.error('[Idempotency] Error:', error.message);
+        return errorResponse(res, 500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+}
+
+/**
+ * Scheduler job: drop expired keys
+ */
+async function purgeExpiredKeys() {
+    const removed = await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() } } });
+    if (removed > 0) console.log(`[Idempotency] Purged ${removed} expired key(s)`);
+}
+
+module.exports = {
+    idempotency,
+    purgeExpiredKeys
+};
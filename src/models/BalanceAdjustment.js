@@ -0,0 +1,78 @@
+/**
+ * BalanceAdjustment Model
+ * Maker-checker request for a manual merchant balance change.
+ * The balance only moves when a second admin approves the request.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const BalanceAdjustment = sequelize.define('BalanceAdjustment', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'FK to users table'
+    },
+    type: {
+        type: DataTypes.ENUM('increase', 'decrease'),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false
+    },
+    reasonCategory: {
+        type: DataTypes.ENUM('deposit', 'chargeback', 'refund', 'fee_correction', 'error_correction', 'other'),
+        allowNull: false
+    },
+    note: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    attachmentRef: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Supporting evidence (bank UTR, ticket ID, document link)'
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+        defaultValue: 'pending'
+    },
+    requestedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Admin who created the request (maker)'
+    },
+    reviewedBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Admin who approved or rejected the request (checker)'
+    },
+    reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    reviewNote: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    journalId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Ledger journal posted on approval'
+    }
+}, {
+    tableName: 'balance_adjustments',
+    timestamps: true,
+    indexes: [
+        { fields: ['status'] },
+        { fields: ['merchantId', 'createdAt'] }
+    ]
+});
+
+module.exports = BalanceAdjustment;
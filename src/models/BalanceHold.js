@@ -0,0 +1,58 @@
+/**
+ * BalanceHold Model
+ * Payin credits held in the unsettled (T+N) or rolling reserve bucket
+ * until the release job moves them to the available balance.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const BalanceHold = sequelize.define('BalanceHold', {
+    id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'FK to users table'
+    },
+    orderId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Internal ID of the payin order that created the hold'
+    },
+    bucket: {
+        type: DataTypes.ENUM('unsettled', 'reserve'),
+        allowNull: false,
+        comment: 'unsettled = T+N availability, reserve = rolling reserve'
+    },
+    amount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false
+    },
+    releaseAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the funds become available'
+    },
+    status: {
+        type: DataTypes.ENUM('held', 'released'),
+        defaultValue: 'held'
+    },
+    releasedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'balance_holds',
+    timestamps: true,
+    indexes: [
+        { fields: ['status', 'releaseAt'] },
+        { fields: ['merchantId', 'status'] },
+        { fields: ['orderId'] }
+    ]
+});
+
+module.exports = BalanceHold;
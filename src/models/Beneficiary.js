@@ -0,0 +1,67 @@
+/**
+ * Beneficiary Model
+ * Saved payout destinations per merchant (bank account or UPI VPA).
+ * New beneficiaries only receive payouts after a cooling-off period.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Beneficiary = sequelize.define('Beneficiary', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'FK to users table'
+    },
+    type: {
+        type: DataTypes.ENUM('bank', 'upi'),
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Account holder name'
+    },
+    account: {
+        type: DataTypes.STRING(34),
+        allowNull: true,
+        comment: 'Bank account number (type bank)'
+    },
+    ifsc: {
+        type: DataTypes.STRING(11),
+        allowNull: true
+    },
+    bankName: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+        comment: 'Resolved from the IFSC directory'
+    },
+    vpa: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+        comment: 'UPI VPA (type upi)'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'disabled'),
+        allowNull: false,
+        defaultValue: 'active'
+    },
+    activeAfter: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'End of the cooling-off period; no payouts before this'
+    }
+}, {
+    tableName: 'beneficiaries',
+    timestamps: true,
+    indexes: [
+        { fields: ['merchantId', 'status'] }
+    ]
+});
+
+module.exports = Beneficiary;
@@ -46,6 +46,24 @@ const Channel = sequelize.define('Channel', {
         defaultValue: 6.00,
         comment: 'Fixed payout fee in INR'
     },
+    costPayinRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Provider cost: payin percentage charged to us (history in channel_cost_rates)'
+    },
+    costPayoutRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Provider cost: payout percentage charged to us'
+    },
+    costPayoutFixedFee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Provider cost: fixed payout fee in INR charged to us'
+    },
     isActive: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
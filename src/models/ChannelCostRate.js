@@ -0,0 +1,62 @@
+/**
+ * ChannelCostRate Model
+ * History of what each upstream provider charges us per channel.
+ * The latest row is mirrored on the channels table (cost* columns).
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ChannelCostRate = sequelize.define('ChannelCostRate', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    channelId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'FK to channels table'
+    },
+    payinRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Payin cost percentage'
+    },
+    payoutRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Payout cost percentage'
+    },
+    payoutFixedFee: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Fixed payout cost in INR'
+    },
+    effectiveFrom: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Orders settled from this time use these rates'
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Admin who set the rates'
+    },
+    note: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'channel_cost_rates',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['channelId', 'effectiveFrom'] }
+    ]
+});
+
+module.exports = ChannelCostRate;
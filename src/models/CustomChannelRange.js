@@ -1,7 +1,7 @@
 /**
  * CustomChannelRange Model
  * Stores range configurations for the Smart Channel
- * Routes payin requests to different channels based on amount
+ * Routes payin and payout requests to different channels based on amount
  */
 
 const { DataTypes } = require('sequelize');
@@ -13,6 +13,12 @@ const CustomChannelRange = sequelize.define('CustomChannelRange', {
         autoIncrement: true,
         primaryKey: true
     },
+    direction: {
+        type: DataTypes.ENUM('payin', 'payout'),
+        allowNull: false,
+        defaultValue: 'payin',
+        comment: 'Whether the range routes payins or payouts'
+    },
     minAmount: {
         type: DataTypes.DECIMAL(12, 2),
         allowNull: false,
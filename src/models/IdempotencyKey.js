@@ -0,0 +1,60 @@
+/**
+ * IdempotencyKey Model
+ * Stored result of a merchant API create request sent with an Idempotency-Key header,
+ * so retries of the same request replay the original response.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'FK to users table'
+    },
+    idempotencyKey: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    endpoint: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        comment: 'Request path the key was first used on'
+    },
+    requestHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of endpoint + canonical request body'
+    },
+    status: {
+        type: DataTypes.ENUM('processing', 'completed'),
+        defaultValue: 'processing'
+    },
+    responseStatus: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    responseBody: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    }
+}, {
+    tableName: 'idempotency_keys',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['merchantId', 'idempotencyKey'] },
+        { fields: ['expiresAt'] }
+    ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,40 @@
+/**
+ * IfscCode Model
+ * Local IFSC directory (bank branches), imported from the RBI / IFSC CSV by an admin.
+ * Used to validate payout IFSC codes and resolve the bank and branch.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const IfscCode = sequelize.define('IfscCode', {
+    ifsc: {
+        type: DataTypes.STRING(11),
+        primaryKey: true
+    },
+    bank: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    branch: {
+        type: DataTypes.STRING(150),
+        allowNull: true
+    },
+    city: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    state: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    address: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'ifsc_codes',
+    timestamps: true
+});
+
+module.exports = IfscCode;
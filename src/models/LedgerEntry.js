@@ -0,0 +1,82 @@
+/**
+ * LedgerEntry Model
+ * Double-entry postings behind every merchant balance change.
+ * Each business event writes one journal (shared journalId) whose
+ * debit and credit lines always balance.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const LedgerEntry = sequelize.define('LedgerEntry', {
+    id: {
+        type: DataTypes.BIGINT,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    journalId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        comment: 'Groups the balanced lines of one posting'
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'FK to users table (null for platform accounts)'
+    },
+    account: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        comment: 'Ledger account code, e.g. merchant_available, fee_revenue'
+    },
+    direction: {
+        type: DataTypes.ENUM('debit', 'credit'),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false
+    },
+    balanceAfter: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+        comment: 'Running balance of the merchant account after this line'
+    },
+    entryType: {
+        type: DataTypes.STRING(40),
+        allowNull: false,
+        comment: 'Business event: payin_credit, payout_hold, payout_refund, settlement, adjustment...'
+    },
+    referenceType: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'order, settlement, adjustment or merchant'
+    },
+    referenceId: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'ID of the referenced order/settlement/adjustment'
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Admin user who triggered the posting (manual actions only)'
+    }
+}, {
+    tableName: 'ledger_entries',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['journalId'] },
+        { fields: ['merchantId', 'account', 'id'] },
+        { fields: ['referenceType', 'referenceId'] },
+        { fields: ['entryType'] },
+        { fields: ['createdAt'] }
+    ]
+});
+
+module.exports = LedgerEntry;
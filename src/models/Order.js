@@ -23,13 +23,29 @@ const Order = sequelize.define('Order', {
         comment: 'Channel: hdpay, x2, payable'
     },
     type: {
-        type: DataTypes.ENUM('payin', 'payout'),
-        allowNull: false
+        type: DataTypes.ENUM('payin', 'payout', 'refund'),
+        allowNull: false,
+        comment: 'refund = money returned to the payer of a successful payin (paid out like a payout)'
     },
     payoutType: {
-        type: DataTypes.ENUM('bank', 'usdt'),
+        type: DataTypes.ENUM('bank', 'usdt', 'upi'),
+        allowNull: true,
+        comment: 'For payout and refund orders: bank, usdt or upi (VPA)'
+    },
+    parentOrderId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Refund orders: FK to the original payin order (orders.id)'
+    },
+    batchId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Batch payout items: FK to payout_batches.id'
+    },
+    beneficiaryId: {
+        type: DataTypes.UUID,
         allowNull: true,
-        comment: 'For payout orders: bank or usdt'
+        comment: 'Payouts to a saved beneficiary: FK to beneficiaries.id'
     },
     amount: {
         type: DataTypes.DECIMAL(12, 2),
@@ -47,9 +63,20 @@ const Order = sequelize.define('Order', {
         allowNull: false,
         comment: 'Amount after fee'
     },
+    providerCost: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'What the upstream provider charged us (set when the order succeeds)'
+    },
+    margin: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'fee - providerCost'
+    },
     status: {
-        type: DataTypes.ENUM('pending', 'processing', 'success', 'failed', 'expired'),
-        defaultValue: 'pending'
+        type: DataTypes.ENUM('pending', 'processing', 'success', 'failed', 'expired', 'awaiting_approval'),
+        defaultValue: 'pending',
+        comment: 'awaiting_approval = payout above the merchant approval threshold, held until approved in the dashboard'
     },
     providerOrderId: {
         type: DataTypes.STRING(100),
@@ -59,7 +86,7 @@ const Order = sequelize.define('Order', {
     actualChannel: {
         type: DataTypes.STRING(50),
         allowNull: true,
-        comment: 'Actual channel used when routed via smart channel'
+        comment: 'Actual channel used when routed via smart channel or a payout failed over'
     },
     utr: {
         type: DataTypes.STRING(50),
@@ -109,7 +136,7 @@ const Order = sequelize.define('Order', {
     payoutDetails: {
         type: DataTypes.TEXT,
         allowNull: true,
-        comment: 'Bank/USDT details as JSON',
+        comment: 'Bank/USDT details as JSON (USDT payouts add sentNetwork, txHash, usdtSent once paid)',
         get() {
             const value = this.getDataValue('payoutDetails');
             return value ? JSON.parse(value) : null;
@@ -118,6 +145,23 @@ const Order = sequelize.define('Order', {
             this.setDataValue('payoutDetails', value ? JSON.stringify(value) : null);
         }
     },
+    payoutAccount: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+        comment: 'Payout destination for per-account limits: IFSC:account, VPA or wallet address'
+    },
+    payoutAttempts: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Provider attempts as JSON: [{ channel, success, error, at }] (payout failover)',
+        get() {
+            const value = this.getDataValue('payoutAttempts');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('payoutAttempts', value ? JSON.stringify(value) : null);
+        }
+    },
     providerResponse: {
         type: DataTypes.TEXT,
         allowNull: true,
@@ -132,6 +176,26 @@ const Order = sequelize.define('Order', {
         type: DataTypes.DATE,
         allowNull: true,
         comment: 'Order expiration time'
+    },
+    statusSource: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        comment: 'What set the final status: callback (provider callback), poll (status poller), query (merchant refresh), submit (provider rejected the request), merchant (payout rejected in the dashboard), admin (USDT payout queue) or cancel (payout cancelled by the merchant)'
+    },
+    pollAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Upstream status queries made by the status poller'
+    },
+    nextPollAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the status poller queries the upstream next (null = first delay after createdAt)'
+    },
+    lastRefreshAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Last merchant-requested upstream refresh (query with refresh=true), for rate limiting'
     }
 }, {
     tableName: 'orders',
@@ -147,7 +211,12 @@ const Order = sequelize.define('Order', {
         { fields: ['updatedAt'] },
         { fields: ['merchantId', 'type', 'createdAt'] },
         { fields: ['providerOrderId'] },
-        { fields: ['orderId', 'type'] } // For callback lookups
+        { fields: ['orderId', 'type'] }, // For callback lookups
+        { fields: ['parentOrderId'] },
+        { fields: ['status', 'nextPollAt'] },
+        { fields: ['batchId'] },
+        { fields: ['beneficiaryId'] },
+        { fields: ['merchantId', 'payoutAccount', 'createdAt'] }
     ]
 });
 
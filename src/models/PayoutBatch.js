@@ -0,0 +1,58 @@
+/**
+ * PayoutBatch Model
+ * A group of bank payouts created in one request (API or dashboard upload).
+ * Each item is a normal payout order with orders.batchId pointing here.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PayoutBatch = sequelize.define('PayoutBatch', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'FK to users table'
+    },
+    batchId: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'Merchant batch ID'
+    },
+    source: {
+        type: DataTypes.ENUM('api', 'upload'),
+        allowNull: false,
+        defaultValue: 'api'
+    },
+    status: {
+        type: DataTypes.ENUM('processing', 'submitted'),
+        allowNull: false,
+        defaultValue: 'processing',
+        comment: 'processing = items still being sent to the provider, submitted = all items sent'
+    },
+    itemCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    totalAmount: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false
+    },
+    totalFee: {
+        type: DataTypes.DECIMAL(15, 2),
+        allowNull: false
+    }
+}, {
+    tableName: 'payout_batches',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['merchantId', 'batchId'] },
+        { fields: ['status'] }
+    ]
+});
+
+module.exports = PayoutBatch;
@@ -31,6 +31,28 @@ const Settlement = sequelize.define('Settlement', {
     notes: {
         type: DataTypes.TEXT,
         allowNull: true
+    },
+    source: {
+        type: DataTypes.ENUM('manual', 'scheduled'),
+        defaultValue: 'manual',
+        comment: 'manual = merchant request, scheduled = automatic settlement cycle'
+    },
+    scheduleId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'FK to settlement_schedules for scheduled settlements'
+    },
+    destination: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Payout destination as JSON (wallet or bank account)',
+        get() {
+            const value = this.getDataValue('destination');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('destination', value ? JSON.stringify(value) : null);
+        }
     }
 }, {
     tableName: 'settlements',
@@ -0,0 +1,91 @@
+/**
+ * SettlementSchedule Model
+ * Per-merchant automatic settlement cycle (daily, weekly or balance threshold).
+ * The scheduler creates pending Settlement rows for admin approval.
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const SettlementSchedule = sequelize.define('SettlementSchedule', {
+    id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true
+    },
+    merchantId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+        comment: 'FK to users table (one schedule per merchant)'
+    },
+    frequency: {
+        type: DataTypes.ENUM('daily', 'weekly', 'threshold'),
+        allowNull: false,
+        defaultValue: 'daily'
+    },
+    weekday: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Weekly cycles: 0 = Sunday ... 6 = Saturday'
+    },
+    runHour: {
+        type: DataTypes.INTEGER,
+        defaultValue: 10,
+        comment: 'Hour of day (server time) for daily/weekly cycles'
+    },
+    thresholdAmount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+        comment: 'Threshold cycles: settle once available balance reaches this amount'
+    },
+    minAmount: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        comment: 'Skip the cycle if the available balance is below this amount'
+    },
+    destinationType: {
+        type: DataTypes.ENUM('usdt', 'bank'),
+        allowNull: false,
+        defaultValue: 'usdt'
+    },
+    destination: {
+        type: DataTypes.TEXT,
+        allowNull: false,
+        comment: 'JSON: { walletAddress, network } or { account, ifsc, personName }',
+        get() {
+            const value = this.getDataValue('destination');
+            return value ? JSON.parse(value) : null;
+        },
+        set(value) {
+            this.setDataValue('destination', value ? JSON.stringify(value) : null);
+        }
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
+    nextRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Next daily/weekly cycle'
+    },
+    lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    lastResult: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Outcome of the last cycle (created / skipped reason)'
+    }
+}, {
+    tableName: 'settlement_schedules',
+    timestamps: true,
+    indexes: [
+        { fields: ['isActive', 'frequency', 'nextRunAt'] }
+    ]
+});
+
+module.exports = SettlementSchedule;
@@ -55,6 +55,21 @@ const User = sequelize.define('User', {
         allowNull: true,
         comment: 'Assigned channel for Payouts'
     },
+    payoutApprovalThreshold: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true,
+        comment: 'Payouts above this amount wait for approval in the merchant dashboard (null = off)'
+    },
+    payoutLimits: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Payout velocity limits as JSON: { maxAmount, hourlyCount, dailyVolume, accountDailyCount, accountDailyVolume } (null/0 = no limit)'
+    },
+    payoutFailoverChannels: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'JSON array of backup payout channels, tried in order when the payout channel rejects a payout'
+    },
     canPayin: {
         type: DataTypes.BOOLEAN,
         defaultValue: true,
@@ -65,15 +80,75 @@ const User = sequelize.define('User', {
         defaultValue: true,
         comment: 'Whether merchant can process payouts'
     },
+    requireBeneficiary: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Bank/UPI payouts only to saved beneficiaries (cooling-off and first-payout cap always apply)'
+    },
     balance: {
         type: DataTypes.DECIMAL(14, 2),
         defaultValue: 0.00,
-        comment: 'Available wallet balance'
+        comment: 'Available wallet balance (cached from ledger_entries)'
     },
     pendingBalance: {
         type: DataTypes.DECIMAL(14, 2),
         defaultValue: 0.00,
-        comment: 'Pending balance (processing payouts)'
+        comment: 'Pending balance (processing payouts, cached from ledger_entries)'
+    },
+    unsettledBalance: {
+        type: DataTypes.DECIMAL(14, 2),
+        defaultValue: 0.00,
+        comment: 'Payin credits waiting for T+N availability (cached from ledger_entries)'
+    },
+    reservedBalance: {
+        type: DataTypes.DECIMAL(14, 2),
+        defaultValue: 0.00,
+        comment: 'Rolling reserve held from payin credits (cached from ledger_entries)'
+    },
+    reservePercent: {
+        type: DataTypes.DECIMAL(5, 2),
+        defaultValue: 0.00,
+        comment: 'Percentage of each payin credit held as rolling reserve'
+    },
+    reserveDays: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Days the rolling reserve is held before release'
+    },
+    settlementDelayDays: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'T+N: days before the non-reserved part of a payin becomes available'
+    },
+    minPayin: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Merchant payin minimum override (null = channel limit)'
+    },
+    maxPayin: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Merchant payin maximum override (null = channel limit)'
+    },
+    minPayout: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Merchant payout minimum override (null = channel limit)'
+    },
+    maxPayout: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: true,
+        comment: 'Merchant payout maximum override (null = channel limit)'
+    },
+    minExpireMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 5,
+        comment: 'Shortest payin expiry a merchant may request (expireMinutes)'
+    },
+    maxExpireMinutes: {
+        type: DataTypes.INTEGER,
+        defaultValue: 30,
+        comment: 'Longest payin expiry a merchant may request (expireMinutes)'
     },
     callbackUrl: {
         type: DataTypes.STRING(500),
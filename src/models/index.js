@@ -4,6 +4,15 @@ const Channel = require('./Channel');
 const Order = require('./Order');
 const Settlement = require('./Settlement');
 const CustomChannelRange = require('./CustomChannelRange');
+const LedgerEntry = require('./LedgerEntry');
+const BalanceHold = require('./BalanceHold');
+const SettlementSchedule = require('./SettlementSchedule');
+const BalanceAdjustment = require('./BalanceAdjustment');
+const ChannelCostRate = require('./ChannelCostRate');
+const IdempotencyKey = require('./IdempotencyKey');
+const PayoutBatch = require('./PayoutBatch');
+const IfscCode = require('./IfscCode');
+const Beneficiary = require('./Beneficiary');
 
 // Define associations
 User.hasMany(Order, { foreignKey: 'merchantId', as: 'orders' });
@@ -12,6 +21,34 @@ Order.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
 User.hasMany(Settlement, { foreignKey: 'merchantId', as: 'settlements' });
 Settlement.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
 
+User.hasMany(LedgerEntry, { foreignKey: 'merchantId', as: 'ledgerEntries', constraints: false });
+LedgerEntry.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant', constraints: false });
+LedgerEntry.belongsTo(Order, { foreignKey: 'referenceId', as: 'order', constraints: false });
+
+User.hasMany(BalanceHold, { foreignKey: 'merchantId', as: 'balanceHolds' });
+BalanceHold.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
+
+User.hasOne(SettlementSchedule, { foreignKey: 'merchantId', as: 'settlementSchedule' });
+SettlementSchedule.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
+SettlementSchedule.hasMany(Settlement, { foreignKey: 'scheduleId', as: 'settlements', constraints: false });
+
+User.hasMany(BalanceAdjustment, { foreignKey: 'merchantId', as: 'balanceAdjustments' });
+BalanceAdjustment.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
+BalanceAdjustment.belongsTo(User, { foreignKey: 'requestedBy', as: 'requester', constraints: false });
+BalanceAdjustment.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer', constraints: false });
+
+Channel.hasMany(ChannelCostRate, { foreignKey: 'channelId', as: 'costRates' });
+ChannelCostRate.belongsTo(Channel, { foreignKey: 'channelId', as: 'channel' });
+ChannelCostRate.belongsTo(User, { foreignKey: 'createdBy', as: 'creator', constraints: false });
+
+User.hasMany(PayoutBatch, { foreignKey: 'merchantId', as: 'payoutBatches' });
+PayoutBatch.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
+PayoutBatch.hasMany(Order, { foreignKey: 'batchId', as: 'orders', constraints: false });
+
+User.hasMany(Beneficiary, { foreignKey: 'merchantId', as: 'beneficiaries' });
+Beneficiary.belongsTo(User, { foreignKey: 'merchantId', as: 'merchant' });
+Beneficiary.hasMany(Order, { foreignKey: 'beneficiaryId', as: 'orders', constraints: false });
+
 // Export all models
 module.exports = {
     sequelize,
@@ -19,5 +56,14 @@ module.exports = {
     Channel,
     Order,
     Settlement,
-    CustomChannelRange
+    CustomChannelRange,
+    LedgerEntry,
+    BalanceHold,
+    SettlementSchedule,
+    BalanceAdjustment,
+    ChannelCostRate,
+    IdempotencyKey,
+    PayoutBatch,
+    IfscCode,
+    Beneficiary
 };
@@ -7,12 +7,20 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const { User, Channel, Order, Settlement, CustomChannelRange, sequelize } = require('../models');
+const { User, Channel, ChannelCostRate, Order, Settlement, SettlementSchedule, BalanceAdjustment, CustomChannelRange, sequelize } = require('../models');
 const { getStats, getChartData } = require('../services/stats');
+const { getRevenueReport, getMarginReport, getPlatformRevenue } = require('../services/revenue');
+const providerCost = require('../services/providerCost');
 const telegramBot = require('../services/telegramBot');
 const axios = require('axios');
 const otplib = require('otplib');
 const channelRouter = require('../services/channelRouter');
+const ledger = require('../services/ledger');
+const settlementScheduler = require('../services/settlementScheduler');
+const usdtPayout = require('../services/usdtPayout');
+const payoutLimits = require('../services/payoutLimits');
+const ifscDirectory = require('../services/ifsc');
+const { MAX_EXPIRE_MINUTES } = require('../services/limits');
 
 // Configure otplib
 otplib.authenticator.options = { window: 2, step: 30 };
@@ -38,7 +46,7 @@ router.use(ensureAdmin);
 router.get('/stats', async (req, res) => {
     try {
         const stats = await getStats(null); // Global stats
-        const admin = await User.findOne({ where: { role: 'admin' } });
+        const revenue = await getPlatformRevenue();
         const merchantCount = await User.count({ where: { role: 'merchant' } });
         const activeCount = await User.count({ where: { role: 'merchant', isActive: true } });
         const totalMerchantBalance = await User.sum('balance', { where: { role: 'merchant' } });
@@ -47,7 +55,7 @@ router.get('/stats', async (req, res) => {
             success: true,
             stats: {
                 ...stats,
-                adminBalance: parseFloat(admin?.balance || 0),
+                platformRevenue: revenue.margin,
                 totalMerchantBalance: parseFloat(totalMerchantBalance || 0),
                 merchantCount,
                 activeMerchants: activeCount
@@ -59,6 +67,46 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * GET /admin/api/revenue
+ * Platform revenue by channel and merchant for a date range
+ */
+router.get('/revenue', async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const report = await getRevenueReport({ startDate, endDate });
+        if (!report) {
+            return res.status(400).json({ success: false, error: 'Invalid date range' });
+        }
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('[Admin] Revenue report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch revenue report' });
+    }
+});
+
+/**
+ * GET /admin/api/margins
+ * Per-order margin by channel and merchant for a date range
+ */
+router.get('/margins', async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const report = await getMarginReport({ startDate, endDate });
+        if (!report) {
+            return res.status(400).json({ success: false, error: 'Invalid date range' });
+        }
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('[Admin] Margin report error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch margin report' });
+    }
+});
+
 /**
  * GET /admin/api/boot-settings
  * Get current booster settings
@@ -142,7 +190,7 @@ router.get('/merchants', async (req, res) => {
 
         const { count, rows } = await User.findAndCountAll({
             where,
-            attributes: ['id', 'username', 'apiKey', 'assignedChannel', 'payinChannel', 'payoutChannel', 'balance', 'pendingBalance', 'isActive', 'canPayin', 'canPayout', 'channel_rates', 'createdAt'],
+            attributes: ['id', 'username', 'apiKey', 'assignedChannel', 'payinChannel', 'payoutChannel', 'payoutFailoverChannels', 'balance', 'pendingBalance', 'unsettledBalance', 'reservedBalance', 'isActive', 'canPayin', 'canPayout', 'channel_rates', 'createdAt'],
             order: [['createdAt', 'DESC']],
             limit: parseInt(limit),
             offset: parseInt(offset)
@@ -158,6 +206,145 @@ router.get('/merchants', async (req, res) => {
     }
 });
 
+/**
+ * Pick rolling reserve / T+N settings from a merchant form body
+ */
+function parseReservePolicy(body) {
+    const policy = {};
+    if (body.reservePercent !== undefined && body.reservePercent !== '') {
+        policy.reservePercent = Math.min(Math.max(parseFloat(body.reservePercent) || 0, 0), 100);
+    }
+    if (body.reserveDays !== undefined && body.reserveDays !== '') {
+        policy.reserveDays = Math.max(parseInt(body.reserveDays) || 0, 0);
+    }
+    if (body.settlementDelayDays !== undefined && body.settlementDelayDays !== '') {
+        policy.settlementDelayDays = Math.max(parseInt(body.settlementDelayDays) || 0, 0);
+    }
+    return policy;
+}
+
+/**
+ * Pick per-merchant amount limit overrides and payin expiry bounds from a merchant form body.
+ * Empty amount value clears the override (channel limit applies).
+ * @returns {{ error: string } | { limits: Object }}
+ */
+function parseLimitOverrides(body) {
+    const limits = {};
+    for (const field of ['minPayin', 'maxPayin', 'minPayout', 'maxPayout']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === '' || body[field] === null) {
+            limits[field] = null;
+            continue;
+        }
+        const value = parseFloat(body[field]);
+        if (isNaN(value) || value < 0) return { error: `Invalid ${field}` };
+        limits[field] = value || null;
+    }
+    if (limits.minPayin && limits.maxPayin && limits.minPayin > limits.maxPayin) {
+        return { error: 'Payin minimum cannot be above the maximum' };
+    }
+    if (limits.minPayout && limits.maxPayout && limits.minPayout > limits.maxPayout) {
+        return { error: 'Payout minimum cannot be above the maximum' };
+    }
+
+    for (const field of ['minExpireMinutes', 'maxExpireMinutes']) {
+        if (body[field] === undefined || body[field] === '') continue;
+        const value = Number(body[field]);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_EXPIRE_MINUTES) {
+            return { error: `${field} must be between 1 and ${MAX_EXPIRE_MINUTES}` };
+        }
+        limits[field] = value;
+    }
+    if (limits.minExpireMinutes && limits.maxExpireMinutes && limits.minExpireMinutes > limits.maxExpireMinutes) {
+        return { error: 'Minimum expiry cannot be above the maximum' };
+    }
+    return { limits };
+}
+
+/**
+ * UPI payout rates from the merchant form (null = use the bank payout rates)
+ */
+function parseUpiRates(body) {
+    const rates = {};
+    for (const key of ['upiPayoutRate', 'upiPayoutFixedFee']) {
+        if (body[key] === undefined) continue;
+        const value = parseFloat(body[key]);
+        rates[key] = body[key] === '' || body[key] === null || isNaN(value) ? null : value;
+    }
+    return rates;
+}
+
+/**
+ * Backup payout channels from the merchant form ("ckpay, cxpay", in failover order)
+ * @returns {{ error: string } | { update: Object }}
+ */
+function parsePayoutFailover(body) {
+    if (body.payoutFailoverChannels === undefined) return { update: {} };
+
+    const value = body.payoutFailoverChannels;
+    const names = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+
+    for (const name of names) {
+        const config = channelRouter.getChannelConfig(name);
+        if (!config || config.isSmartChannel) return { error: `Invalid backup payout channel: ${name}` };
+    }
+    const channels = [...new Set(names)];
+    return { update: { payoutFailoverChannels: channels.length > 0 ? JSON.stringify(channels) : null } };
+}
+
+/**
+ * Payout velocity limits from the merchant form ({ maxAmount, hourlyCount, ... });
+ * empty or 0 removes a limit
+ * @returns {{ error: string } | { update: Object }}
+ */
+function parsePayoutLimits(body) {
+    if (!body.payoutLimits || typeof body.payoutLimits !== 'object') return { update: {} };
+
+    const limits = {};
+    for (const field of payoutLimits.LIMIT_FIELDS) {
+        const raw = body.payoutLimits[field];
+        if (raw === undefined || raw === null || raw === '') continue;
+        const value = Number(raw);
+        if (isNaN(value) || value < 0) return { error: `Invalid payout limit: ${field}` };
+        if (field.endsWith('Count') && !Number.isInteger(value)) return { error: `${field} must be a whole number` };
+        if (value > 0) limits[field] = value;
+    }
+    return { update: { payoutLimits: Object.keys(limits).length > 0 ? JSON.stringify(limits) : null } };
+}
+
+/**
+ * The smart channel routes payouts by payout range, so it cannot be a
+ * merchant's payout channel until at least one active payout range exists
+ * @returns {Promise<string|null>} error message
+ */
+async function checkSmartPayoutChannel(payoutChannel) {
+    const config = payoutChannel ? channelRouter.getChannelConfig(payoutChannel) : null;
+    if (!config || !config.isSmartChannel) return null;
+
+    const ranges = await CustomChannelRange.count({ where: { direction: 'payout', isActive: true } });
+    return ranges > 0 ? null : 'No payout ranges configured for the smart channel. Add a payout range before using it as a payout channel.';
+}
+
+/**
+ * Whether removing or deactivating this range would leave merchants whose
+ * payout channel is smart without any active payout range
+ * @returns {Promise<string|null>} error message
+ */
+async function checkLastSmartPayoutRange(range) {
+    if (range.direction !== 'payout' || !range.isActive) return null;
+
+    const { Op } = require('sequelize');
+    const others = await CustomChannelRange.count({ where: { direction: 'payout', isActive: true, id: { [Op.ne]: range.id } } });
+    if (others > 0) return null;
+
+    const merchants = await User.count({ where: { role: 'merchant', payoutChannel: 'smart' } });
+    return merchants > 0
+        ? `This is the last active payout range and ${merchants} merchant(s) use the smart channel for payouts. Change their payout channel first.`
+        : null;
+}
+
 router.post('/merchants', async (req, res) => {
     try {
         const { username, payinChannel, payoutChannel, payinRate, payoutRate, payoutFixedFee, usdtRate } = req.body;
@@ -169,6 +356,15 @@ router.post('/merchants', async (req, res) => {
         const existing = await User.findOne({ where: { username } });
         if (existing) return res.status(400).json({ success: false, error: 'Username exists' });
 
+        const limitOverrides = parseLimitOverrides(req.body);
+        if (limitOverrides.error) return res.status(400).json({ success: false, error: limitOverrides.error });
+        const failover = parsePayoutFailover(req.body);
+        if (failover.error) return res.status(400).json({ success: false, error: failover.error });
+        const velocityLimits = parsePayoutLimits(req.body);
+        if (velocityLimits.error) return res.status(400).json({ success: false, error: velocityLimits.error });
+        const smartError = await checkSmartPayoutChannel(payoutChannel);
+        if (smartError) return res.status(400).json({ success: false, error: smartError });
+
         const hashedPassword = await bcrypt.hash(password, 10);
         const customRates = {
             payinRate: parseFloat(payinRate) || 5.0,
@@ -176,6 +372,7 @@ router.post('/merchants', async (req, res) => {
             payoutFixedFee: parseFloat(payoutFixedFee) || 6.0,
             usdtRate: parseFloat(usdtRate) || 100 // Default 100 INR/USDT
         };
+        Object.assign(customRates, parseUpiRates(req.body));
 
         const merchant = await User.create({
             username,
@@ -189,7 +386,12 @@ router.post('/merchants', async (req, res) => {
             apiSecret: crypto.randomBytes(32).toString('hex'),
             isActive: true,
             canPayin: req.body.canPayin !== undefined ? req.body.canPayin : true,
-            canPayout: req.body.canPayout !== undefined ? req.body.canPayout : true
+            canPayout: req.body.canPayout !== undefined ? req.body.canPayout : true,
+            requireBeneficiary: req.body.requireBeneficiary === true,
+            ...parseReservePolicy(req.body),
+            ...limitOverrides.limits,
+            ...failover.update,
+            ...velocityLimits.update
         });
 
         res.json({ success: true, merchant: { id: merchant.id, username } });
@@ -227,6 +429,25 @@ router.put('/merchants/:id', async (req, res) => {
         if (typeof isActive === 'boolean') updates.isActive = isActive;
         if (typeof canPayin === 'boolean') updates.canPayin = canPayin;
         if (typeof canPayout === 'boolean') updates.canPayout = canPayout;
+        if (typeof req.body.requireBeneficiary === 'boolean') updates.requireBeneficiary = req.body.requireBeneficiary;
+        Object.assign(updates, parseReservePolicy(req.body));
+
+        const limitOverrides = parseLimitOverrides(req.body);
+        if (limitOverrides.error) return res.status(400).json({ success: false, error: limitOverrides.error });
+        Object.assign(updates, limitOverrides.limits);
+
+        const failover = parsePayoutFailover(req.body);
+        if (failover.error) return res.status(400).json({ success: false, error: failover.error });
+        Object.assign(updates, failover.update);
+
+        const velocityLimits = parsePayoutLimits(req.body);
+        if (velocityLimits.error) return res.status(400).json({ success: false, error: velocityLimits.error });
+        Object.assign(updates, velocityLimits.update);
+
+        if (payoutChannel !== undefined && payoutChannel !== merchant.payoutChannel) {
+            const smartError = await checkSmartPayoutChannel(payoutChannel);
+            if (smartError) return res.status(400).json({ success: false, error: smartError });
+        }
 
         let rates = {};
         try { rates = JSON.parse(merchant.channel_rates || '{}'); } catch (e) { }
@@ -234,6 +455,11 @@ router.put('/merchants/:id', async (req, res) => {
         if (payoutRate !== undefined) rates.payoutRate = parseFloat(payoutRate);
         if (payoutFixedFee !== undefined) rates.payoutFixedFee = parseFloat(payoutFixedFee);
         if (usdtRate !== undefined) rates.usdtRate = parseFloat(usdtRate);
+        // Blank UPI rates fall back to the bank payout rates
+        for (const [key, value] of Object.entries(parseUpiRates(req.body))) {
+            if (value === null) delete rates[key];
+            else rates[key] = value;
+        }
         updates.channel_rates = JSON.stringify(rates);
 
         await merchant.update(updates);
@@ -311,13 +537,16 @@ router.post('/merchants/:id/regenerate-key', async (req, res) => {
     }
 });
 
+const ADJUSTMENT_REASONS = ['deposit', 'chargeback', 'refund', 'fee_correction', 'error_correction', 'other'];
+
 /**
  * POST /admin/api/merchants/:id/adjust-balance
- * Manually adjust merchant balance (Incr/Decr)
+ * Request a manual balance adjustment (Incr/Decr).
+ * Nothing moves until a second admin approves it.
  */
 router.post('/merchants/:id/adjust-balance', async (req, res) => {
     try {
-        const { type, amount, note, totpCode } = req.body;
+        const { type, amount, reasonCategory, note, attachmentRef, totpCode } = req.body;
         if (!totpCode) return res.status(400).json({ success: false, error: 'TOTP code required' });
 
         // Verify TOTP
@@ -333,37 +562,150 @@ router.post('/merchants/:id/adjust-balance', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Invalid amount' });
         }
 
+        if (type !== 'increase' && type !== 'decrease') {
+            return res.status(400).json({ success: false, error: 'Invalid adjustment type' });
+        }
+
+        if (!ADJUSTMENT_REASONS.includes(reasonCategory)) {
+            return res.status(400).json({ success: false, error: 'Reason category is required' });
+        }
+
+        if (!note || !note.trim()) {
+            return res.status(400).json({ success: false, error: 'Reason note is required' });
+        }
+
+        const adjustment = await BalanceAdjustment.create({
+            merchantId: merchant.id,
+            type,
+            amount: adjAmount,
+            reasonCategory,
+            note: note.trim(),
+            attachmentRef: attachmentRef ? String(attachmentRef).trim().substring(0, 255) : null,
+            requestedBy: admin.id
+        });
+
+        console.log(`[Admin] Balance adjustment #${adjustment.id} requested by ${admin.username} for ${merchant.username}: ${type} ${adjAmount} (${reasonCategory})`);
+        res.json({ success: true, message: 'Adjustment submitted for approval', adjustment });
+
+    } catch (error) {
+        console.error('[Admin] Adjust balance error:', error);
+        res.status(500).json({ success: false, error: 'Failed to adjust balance' });
+    }
+});
+
+/**
+ * GET /admin/api/merchants/:id/adjustments
+ * Adjustment history for a merchant
+ */
+router.get('/merchants/:id/adjustments', async (req, res) => {
+    try {
+        const adjustments = await BalanceAdjustment.findAll({
+            where: { merchantId: req.params.id },
+            include: [
+                { model: User, as: 'requester', attributes: ['username'] },
+                { model: User, as: 'reviewer', attributes: ['username'] }
+            ],
+            order: [['createdAt', 'DESC']]
+        });
+        res.json({ success: true, adjustments });
+    } catch (error) {
+        console.error('[Admin] Adjustment history error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+/**
+ * GET /admin/api/adjustments
+ * Adjustment requests across merchants (defaults to the pending queue)
+ */
+router.get('/adjustments', async (req, res) => {
+    try {
+        const { status = 'pending' } = req.query;
+        const adjustments = await BalanceAdjustment.findAll({
+            where: status === 'all' ? {} : { status },
+            include: [
+                { model: User, as: 'merchant', attributes: ['username', 'balance'] },
+                { model: User, as: 'requester', attributes: ['username'] },
+                { model: User, as: 'reviewer', attributes: ['username'] }
+            ],
+            order: [['createdAt', 'DESC']],
+            limit: 100
+        });
+        res.json({ success: true, adjustments });
+    } catch (error) {
+        console.error('[Admin] Adjustment list error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+/**
+ * PUT /admin/api/adjustments/:id
+ * Approve or reject an adjustment. The checker must be a different admin.
+ */
+router.put('/adjustments/:id', async (req, res) => {
+    try {
+        const { status, reviewNote, totpCode } = req.body; // status: 'approved' or 'rejected'
+        if (!totpCode) return res.status(400).json({ success: false, error: 'TOTP code required' });
+
+        // Verify TOTP
+        const admin = await User.findByPk(req.session.user.id);
+        const isValid = otplib.authenticator.check(totpCode, admin.two_fa_secret);
+        if (!isValid) return res.status(400).json({ success: false, error: 'Invalid TOTP code' });
+
+        if (status !== 'approved' && status !== 'rejected') {
+            return res.status(400).json({ success: false, error: 'Invalid status' });
+        }
+
         const t = await sequelize.transaction();
 
         try {
-            if (type === 'increase') {
-                await merchant.update({
-                    balance: sequelize.literal(`balance + ${adjAmount}`)
-                }, { transaction: t });
-            } else if (type === 'decrease') {
-                if (parseFloat(merchant.balance) < adjAmount) {
-                    await t.rollback();
-                    return res.status(400).json({ success: false, error: 'Insufficient balance for deduction' });
-                }
-                await merchant.update({
-                    balance: sequelize.literal(`balance - ${adjAmount}`)
-                }, { transaction: t });
-            } else {
+            const adjustment = await BalanceAdjustment.findByPk(req.params.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+            if (!adjustment) {
+                await t.rollback();
+                return res.status(404).json({ success: false, error: 'Not found' });
+            }
+            if (adjustment.status !== 'pending') {
+                await t.rollback();
+                return res.status(400).json({ success: false, error: 'Request not pending' });
+            }
+            if (adjustment.requestedBy === admin.id) {
                 await t.rollback();
-                return res.status(400).json({ success: false, error: 'Invalid adjustment type' });
+                return res.status(403).json({ success: false, error: 'A different admin must review this adjustment' });
+            }
+
+            let journalId = null;
+            if (status === 'approved') {
+                const amount = parseFloat(adjustment.amount);
+                journalId = await ledger.recordAdjustment(adjustment.merchantId, adjustment.type === 'increase' ? amount : -amount, {
+                    note: `${adjustment.reasonCategory}: ${adjustment.note}`,
+                    referenceId: String(adjustment.id),
+                    createdBy: admin.id
+                }, t);
             }
 
+            await adjustment.update({
+                status,
+                reviewedBy: admin.id,
+                reviewedAt: new Date(),
+                reviewNote: reviewNote ? String(reviewNote).substring(0, 255) : null,
+                journalId
+            }, { transaction: t });
+
             await t.commit();
-            console.log(`[Admin] Balance adjusted for ${merchant.username}: ${type} by ${adjAmount}. Note: ${note || 'None'}`);
-            res.json({ success: true, message: 'Balance adjusted successfully' });
+            console.log(`[Admin] Balance adjustment #${adjustment.id} ${status} by ${admin.username}`);
+            res.json({ success: true, message: `Adjustment ${status}` });
         } catch (error) {
             await t.rollback();
+            if (error.code === 'INSUFFICIENT_BALANCE') {
+                return res.status(400).json({ success: false, error: 'Insufficient balance for deduction' });
+            }
             throw error;
         }
 
     } catch (error) {
-        console.error('[Admin] Adjust balance error:', error);
-        res.status(500).json({ success: false, error: 'Failed to adjust balance' });
+        console.error('[Admin] Adjustment review error:', error);
+        res.status(500).json({ success: false, error: 'Failed to review adjustment' });
     }
 });
 
@@ -373,12 +715,13 @@ router.post('/merchants/:id/adjust-balance', async (req, res) => {
 
 router.get('/settlements', async (req, res) => {
     try {
-        const { page = 1, limit = 10, status, type, merchantId, search } = req.query;
+        const { page = 1, limit = 10, status, type, source, merchantId, search } = req.query;
         const offset = (page - 1) * limit;
         const { Op } = require('sequelize');
         const where = {};
         if (status) where.status = status;
         if (type) where.type = type;
+        if (source) where.source = source;
         if (merchantId) where.merchantId = merchantId;
 
         if (search) {
@@ -416,22 +759,32 @@ router.put('/settlements/:id', async (req, res) => {
         const isValid = otplib.authenticator.check(totpCode, admin.two_fa_secret);
         if (!isValid) return res.status(400).json({ success: false, error: 'Invalid TOTP code' });
 
-        const settlement = await Settlement.findByPk(req.params.id);
-
-        if (!settlement) return res.status(404).json({ success: false, error: 'Not found' });
-        if (settlement.status !== 'pending') return res.status(400).json({ success: false, error: 'Request not pending' });
+        if (status !== 'completed' && status !== 'rejected') {
+            return res.status(400).json({ success: false, error: 'Invalid status' });
+        }
 
         const t = await sequelize.transaction();
 
         try {
+            // Locked re-read so two admin actions cannot both post the journal
+            const settlement = await Settlement.findByPk(req.params.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+            if (!settlement) {
+                await t.rollback();
+                return res.status(404).json({ success: false, error: 'Not found' });
+            }
+            if (settlement.status !== 'pending') {
+                await t.rollback();
+                return res.status(400).json({ success: false, error: 'Request not pending' });
+            }
+
             await settlement.update({ status, utr, notes }, { transaction: t });
 
             if (status === 'rejected') {
                 // Refund balance to merchant
-                await User.update(
-                    { balance: sequelize.literal(`balance + ${settlement.amount}`) },
-                    { where: { id: settlement.merchantId }, transaction: t }
-                );
+                await ledger.rejectSettlement(settlement, t, admin.id);
+            } else {
+                await ledger.completeSettlement(settlement, t, admin.id);
             }
 
             await t.commit();
@@ -447,6 +800,101 @@ router.put('/settlements/:id', async (req, res) => {
     }
 });
 
+router.get('/settlement-schedules', async (req, res) => {
+    try {
+        const schedules = await SettlementSchedule.findAll({
+            include: [{ model: User, as: 'merchant', attributes: ['username'] }],
+            order: [['createdAt', 'DESC']]
+        });
+        res.json({ success: true, schedules });
+    } catch (error) {
+        console.error('[Admin] Settlement schedule list error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+router.put('/settlement-schedules/:id', async (req, res) => {
+    try {
+        const schedule = await SettlementSchedule.findByPk(req.params.id);
+        if (!schedule) return res.status(404).json({ success: false, error: 'Not found' });
+
+        // Admins can only pause or resume; the merchant owns the destination
+        const isActive = !!req.body.isActive;
+        await schedule.update({
+            isActive,
+            nextRunAt: isActive ? settlementScheduler.computeNextRun(schedule) : schedule.nextRunAt
+        });
+        res.json({ success: true, message: isActive ? 'Schedule resumed' : 'Schedule paused' });
+    } catch (error) {
+        console.error('[Admin] Settlement schedule update error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+// ==========================================
+// USDT Payout Queue
+// ==========================================
+
+router.get('/usdt-payouts', async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status = 'pending', search } = req.query;
+        const offset = (page - 1) * limit;
+        const { Op } = require('sequelize');
+        const where = { type: 'payout', payoutType: 'usdt' };
+        if (status) where.status = status;
+
+        if (search) {
+            where[Op.or] = [
+                { id: { [Op.like]: `%${search}%` } },
+                { orderId: { [Op.like]: `%${search}%` } },
+                { utr: { [Op.like]: `%${search}%` } },
+                { payoutDetails: { [Op.like]: `%${search}%` } }
+            ];
+        }
+
+        const { count, rows } = await Order.findAndCountAll({
+            where,
+            include: [{ model: User, as: 'merchant', attributes: ['username'] }],
+            // Oldest first while waiting, newest first once processed
+            order: [['createdAt', status === 'pending' ? 'ASC' : 'DESC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
+        res.json({
+            success: true,
+            payouts: rows,
+            pagination: { total: count, page: parseInt(page), pages: Math.ceil(count / limit) }
+        });
+    } catch (error) {
+        console.error('[Admin] USDT payout list error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+router.post('/usdt-payouts/:id/:action', async (req, res) => {
+    try {
+        const { action } = req.params; // 'complete' or 'reject'
+        const { network, txHash, usdtSent, reason, totpCode } = req.body;
+        if (!['complete', 'reject'].includes(action)) return res.status(404).json({ success: false, error: 'Not found' });
+        if (!totpCode) return res.status(400).json({ success: false, error: 'TOTP code required' });
+
+        // Verify TOTP
+        const admin = await User.findByPk(req.session.user.id);
+        const isValid = otplib.authenticator.check(totpCode, admin.two_fa_secret);
+        if (!isValid) return res.status(400).json({ success: false, error: 'Invalid TOTP code' });
+
+        const result = action === 'complete'
+            ? await usdtPayout.completePayout(admin, req.params.id, { network, txHash, usdtSent })
+            : await usdtPayout.rejectPayout(admin, req.params.id, reason);
+        if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+        res.json({ success: true, message: action === 'complete' ? 'USDT payout completed' : 'USDT payout rejected and refunded' });
+    } catch (error) {
+        console.error('[Admin] USDT payout action error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
 // ==========================================
 // Channel Management
 // ==========================================
@@ -464,13 +912,54 @@ router.put('/channels/:id', async (req, res) => {
     try {
         const channel = await Channel.findByPk(req.params.id);
         if (!channel) return res.status(404).json({ success: false, error: 'Not found' });
-        await channel.update(req.body);
+
+        // Cost rates only change through /cost-rates so history is kept
+        const { costPayinRate, costPayoutRate, costPayoutFixedFee, ...updates } = req.body;
+        await channel.update(updates);
         res.json({ success: true, message: 'Updated' });
     } catch (error) {
         res.status(500).json({ success: false, error: 'Failed' });
     }
 });
 
+/**
+ * GET /admin/api/channels/:id/cost-rates
+ * Provider cost rate history for a channel
+ */
+router.get('/channels/:id/cost-rates', async (req, res) => {
+    try {
+        const rates = await ChannelCostRate.findAll({
+            where: { channelId: req.params.id },
+            include: [{ model: User, as: 'creator', attributes: ['username'] }],
+            order: [['effectiveFrom', 'DESC'], ['id', 'DESC']]
+        });
+        res.json({ success: true, rates });
+    } catch (error) {
+        console.error('[Admin] Cost rate history error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
+/**
+ * POST /admin/api/channels/:id/cost-rates
+ * Set what the provider charges us from now on
+ */
+router.post('/channels/:id/cost-rates', async (req, res) => {
+    try {
+        const channel = await Channel.findByPk(req.params.id);
+        if (!channel) return res.status(404).json({ success: false, error: 'Not found' });
+
+        const { error, rate } = await providerCost.setRates(channel, req.body, req.session.user.id);
+        if (error) return res.status(400).json({ success: false, error });
+
+        console.log(`[Admin] Cost rates for ${channel.name} set to ${rate.payinRate}% / ${rate.payoutRate}% + ₹${rate.payoutFixedFee}`);
+        res.json({ success: true, message: 'Cost rates updated', rate });
+    } catch (error) {
+        console.error('[Admin] Set cost rates error:', error);
+        res.status(500).json({ success: false, error: 'Failed' });
+    }
+});
+
 router.post('/channels/analyze', async (req, res) => {
     try {
         // Dynamic import to avoid caching
@@ -558,12 +1047,13 @@ router.post('/broadcast', async (req, res) => {
 // ==========================================
 
 /**
- * GET /admin/api/smart-ranges
- * Get all smart channel ranges
+ * GET /admin/api/smart-ranges?direction=payin|payout
+ * Get all smart channel ranges (payin ranges by default)
  */
 router.get('/smart-ranges', async (req, res) => {
     try {
         const ranges = await CustomChannelRange.findAll({
+            where: { direction: req.query.direction === 'payout' ? 'payout' : 'payin' },
             order: [['minAmount', 'ASC']]
         });
         res.json({ success: true, ranges });
@@ -575,11 +1065,12 @@ router.get('/smart-ranges', async (req, res) => {
 
 /**
  * POST /admin/api/smart-ranges
- * Create a new range
+ * Create a new range (direction: payin or payout, default payin)
  */
 router.post('/smart-ranges', async (req, res) => {
     try {
         const { minAmount, maxAmount, channelName, isActive, priority } = req.body;
+        const direction = req.body.direction === 'payout' ? 'payout' : 'payin';
         const { Op } = require('sequelize');
 
         // Validate required fields
@@ -594,9 +1085,10 @@ router.post('/smart-ranges', async (req, res) => {
             return res.status(400).json({ success: false, error: 'Min amount must be less than max amount' });
         }
 
-        // Check for overlapping ranges
+        // Check for overlapping ranges (payin and payout ranges are separate)
         const overlapping = await CustomChannelRange.findOne({
             where: {
+                direction,
                 isActive: true,
                 [Op.or]: [
                     // New range starts within an existing range
@@ -617,6 +1109,7 @@ router.post('/smart-ranges', async (req, res) => {
         }
 
         const range = await CustomChannelRange.create({
+            direction,
             minAmount: min,
             maxAmount: max,
             channelName,
@@ -664,6 +1157,7 @@ router.put('/smart-ranges/:id', async (req, res) => {
         const overlapping = await CustomChannelRange.findOne({
             where: {
                 id: { [Op.ne]: range.id },
+                direction: range.direction,
                 isActive: true,
                 [Op.or]: [
                     { minAmount: { [Op.lte]: newMin }, maxAmount: { [Op.gte]: newMin } },
@@ -680,6 +1174,11 @@ router.put('/smart-ranges/:id', async (req, res) => {
             });
         }
 
+        if (updates.isActive === false) {
+            const lastRangeError = await checkLastSmartPayoutRange(range);
+            if (lastRangeError) return res.status(400).json({ success: false, error: lastRangeError });
+        }
+
         await range.update(updates);
         res.json({ success: true, message: 'Range updated', range });
     } catch (error) {
@@ -699,6 +1198,9 @@ router.delete('/smart-ranges/:id', async (req, res) => {
             return res.status(404).json({ success: false, error: 'Range not found' });
         }
 
+        const lastRangeError = await checkLastSmartPayoutRange(range);
+        if (lastRangeError) return res.status(400).json({ success: false, error: lastRangeError });
+
         await range.destroy();
         res.json({ success: true, message: 'Range deleted' });
     } catch (error) {
@@ -706,6 +1208,59 @@ router.delete('/smart-ranges/:id', async (req, res) => {
         res.status(500).json({ success: false, error: 'Failed to delete range' });
     }
 });
+// ==========================================
+// IFSC Directory
+// ==========================================
+
+/**
+ * GET /admin/api/ifsc
+ * Directory size and last import time
+ */
+router.get('/ifsc', async (req, res) => {
+    try {
+        res.json({ success: true, directory: await ifscDirectory.getDirectoryInfo() });
+    } catch (error) {
+        console.error('[Admin] IFSC directory error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch IFSC directory' });
+    }
+});
+
+/**
+ * POST /admin/api/ifsc/import
+ * Replace the directory with an uploaded CSV (raw text body)
+ */
+router.post('/ifsc/import', express.text({ type: ['text/csv', 'text/plain'], limit: '100mb' }), async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body) {
+            return res.status(400).json({ success: false, error: 'Upload the IFSC CSV file' });
+        }
+
+        const result = await ifscDirectory.importCsv(req.body);
+        if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+        console.log(`[Admin] IFSC directory imported by ${req.session.user.username}: ${result.imported} codes, ${result.removed} removed`);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('[Admin] IFSC import error:', error);
+        res.status(500).json({ success: false, error: 'Failed to import IFSC directory' });
+    }
+});
+
+/**
+ * GET /admin/api/ifsc/:code
+ * Bank and branch for an IFSC code (manual payout form)
+ */
+router.get('/ifsc/:code', async (req, res) => {
+    try {
+        const bank = await ifscDirectory.resolve(req.params.code);
+        if (bank.error) return res.status(404).json({ success: false, error: bank.error });
+        res.json({ success: true, ...bank.details });
+    } catch (error) {
+        console.error('[Admin] IFSC lookup error:', error);
+        res.status(500).json({ success: false, error: 'Failed to look up IFSC' });
+    }
+});
+
 // ==========================================
 // Manual Payout Management
 // ==========================================
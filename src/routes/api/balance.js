@@ -1,11 +1,14 @@
 /**
  * Balance API Routes
  * POST /api/balance/query - Get merchant balance
+ * POST /api/balance/statement - Get account statement for a period
  */
 
 const express = require('express');
 const router = express.Router();
 const { validateMerchant } = require('../../middleware/apiAuth');
+const { getStatement } = require('../../services/statement');
+const { getBreakdown } = require('../../services/reserve');
 
 /**
  * POST /api/balance/query
@@ -15,17 +18,11 @@ router.post('/query', validateMerchant, async (req, res) => {
     try {
         const merchant = req.merchant;
 
-        const availableAmount = parseFloat(merchant.balance) || 0;
-        const pendingAmount = parseFloat(merchant.pendingBalance) || 0;
-        const totalAmount = availableAmount + pendingAmount;
-
         return res.json({
             status: 'success',
             timestamp: new Date().toISOString(),
             result: {
-                availableBalance: parseFloat(availableAmount.toFixed(2)),
-                pendingBalance: parseFloat(pendingAmount.toFixed(2)),
-                totalBalance: parseFloat(totalAmount.toFixed(2)),
+                ...getBreakdown(merchant),
                 currency: 'INR'
             }
         });
@@ -41,5 +38,40 @@ router.post('/query', validateMerchant, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/balance/statement
+ * Get every balance movement in a period with opening/closing balances
+ */
+router.post('/statement', validateMerchant, async (req, res) => {
+    try {
+        const { startDate, endDate, page, limit } = req.body;
+
+        const statement = await getStatement(req.merchant.id, { startDate, endDate, page, limit });
+        if (!statement) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Invalid startDate/endDate',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            result: statement
+        });
+
+    } catch (error) {
+        console.error('[Balance Statement] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 module.exports = router;
 
@@ -7,80 +7,11 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
-const { Order, User, Channel } = require('../../models');
+const { Order } = require('../../models');
 const channelRouter = require('../../services/channelRouter');
-const { signCallback } = require('../../middleware/apiAuth');
 const sequelize = require('../../config/database');
 const { DataTypes } = require('sequelize');
-const callbackService = require('../../services/callbackService');
-const { Op } = require('sequelize');
-
-// Skip Logic Cache
-let skipLogicCache = {
-    lastUpdate: 0,
-    orderCount: 0,
-    successRate: 0
-};
-
-/**
- * Get recent stats for skip logic (Payin only)
- * Caches results for 30 seconds to prevent DB overhead
- */
-async function getRecentSkipStats() {
-    const now = Date.now();
-    const windowMins = parseInt(process.env.CALLBACK_SKIP_WINDOW_MINS) || 10;
-
-    // Refresh cache if older than 30 seconds
-    if (now - skipLogicCache.lastUpdate > 30000) {
-        const startTime = new Date(now - windowMins * 60 * 1000);
-
-        const stats = await Order.findAll({
-            attributes: [
-                [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
-                [sequelize.literal(`SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END)`), 'successCount']
-            ],
-            where: {
-                type: 'payin',
-                createdAt: { [Op.gte]: startTime }
-            },
-            raw: true
-        });
-
-        const total = parseInt(stats[0].total) || 0;
-        const successCount = parseInt(stats[0].successCount) || 0;
-        const rate = total > 0 ? (successCount / total) * 100 : 0;
-
-        skipLogicCache = {
-            lastUpdate: now,
-            orderCount: total,
-            successRate: rate
-        };
-    }
-
-    return skipLogicCache;
-}
-
-/**
- * Determine if a callback should be skipped
- */
-async function shouldSkipCallback() {
-    if (process.env.CALLBACK_SKIP_ENABLED !== 'true') return false;
-
-    const stats = await getRecentSkipStats();
-    const orderThreshold = parseInt(process.env.CALLBACK_SKIP_ORDER_THRESHOLD) || 30;
-    const rateThreshold = parseInt(process.env.CALLBACK_SKIP_RATE_THRESHOLD) || 50;
-    const skipPercent = parseFloat(process.env.CALLBACK_SKIP_PERCENT) || 3;
-
-    if (stats.orderCount > orderThreshold && stats.successRate > rateThreshold) {
-        // Random check for skipping percentage
-        const random = Math.random() * 100;
-        if (random < skipPercent) {
-            console.log(`[SkipLogic] Skipping order - Volume: ${stats.orderCount}, Rate: ${stats.successRate.toFixed(2)}%, Random: ${random.toFixed(2)}`);
-            return true;
-        }
-    }
-    return false;
-}
+const orderStatus = require('../../services/orderStatus');
 
 // BatchPayout model for admin batch payouts (created by scripts/hdpay-payout-batch.js)
 const BatchPayout = sequelize.define('BatchPayout', {
@@ -219,99 +150,22 @@ router.post('/:channel/payin', async (req, res) => {
 
         if (!order) {
             console.error(`[Callback] Order not found: ${orderId}`);
-            return res.send(successResponse);
-        }
-
-        // Skip if already processed
-        if (order.status === 'success' || order.status === 'failed') {
-            console.log(`[Callback] Order ${orderId} already processed`);
-            return res.send(successResponse);
-        }
-
-        // Start transaction
-        const t = await sequelize.transaction();
-
-        try {
-            // APPLY SKIP LOGIC (Payin only)
-            const isSkipped = await shouldSkipCallback();
-
-            if (isSkipped && status === 'success') {
-                // To the upstream, we return success so they stop retrying
-                // Locally, we mark it 'processing' (instead of success/failed) and do NOT credit balance
-                await order.update({
-                    status: 'processing',
-                    utr: utr || order.utr,
-                    providerOrderId: providerOrderId || order.providerOrderId,
-                    callbackData: JSON.stringify({ ...req.body, skipLogic: 'Skipped based on threshold' })
-                }, { transaction: t });
-
-                await t.commit();
-                console.log(`[Callback] Order ${orderId} SKIPPED manually - No balance added, No callback sent`);
-                return res.send(successResponse);
-            }
-
-            // Update order
-            await order.update({
-                status: status,
-                utr: utr || order.utr,
-                providerOrderId: providerOrderId || order.providerOrderId,
-                callbackData: JSON.stringify(req.body)
-            }, { transaction: t });
-
-            // If success, credit merchant balance and admin profit
             if (status === 'success') {
-                let creditAmount = parseFloat(order.netAmount);
-                let finalFee = parseFloat(order.fee);
-
-                // Handle discrepancy if actualAmount is provided and significantly different
-                if (!isNaN(actualAmount) && actualAmount > 0 && Math.abs(actualAmount - parseFloat(order.amount)) > 0.01) {
-                    console.log(`[Callback] Discrepancy detected for order ${order.orderId}: Requested ₹${order.amount}, Paid ₹${actualAmount}`);
-
-                    // Recalculate fee based on the actual amount paid using the same rate
-                    const rate = parseFloat(order.amount) > 0 ? (parseFloat(order.fee) / parseFloat(order.amount)) : 0.05;
-                    finalFee = actualAmount * rate;
-                    creditAmount = actualAmount - finalFee;
-
-                    // Update order with actual values
-                    await order.update({
-                        amount: actualAmount,
-                        fee: finalFee,
-                        netAmount: creditAmount
-                    }, { transaction: t });
-                }
-
-                // Credit merchant with net amount
-                await User.update(
-                    { balance: sequelize.literal(`balance + ${creditAmount}`) },
-                    { where: { id: order.merchantId }, transaction: t }
-                );
-                console.log(`[Callback] Credited ₹${creditAmount.toFixed(2)} to merchant ${order.merchantId} (Actual Paid: ₹${actualAmount || order.amount})`);
-
-                // Credit admin with the profit (our fee is our profit for payin)
-                const adminProfit = finalFee;
-                if (adminProfit > 0) {
-                    await User.update(
-                        { balance: sequelize.literal(`balance + ${adminProfit}`) },
-                        { where: { role: 'admin' }, transaction: t }
-                    );
-                    console.log(`[Callback] Admin profit: ₹${adminProfit.toFixed(2)}`);
-                }
-            }
-
-            await t.commit();
-
-            // Forward callback to merchant (async)
-            if (order.callbackUrl && !order.callbackSent) {
-                callbackService.sendPayinCallback(order, status, utr).then(res => {
-                    if (!res.isOk) callbackService.scheduleRetry(order, status, utr, 'payin');
-                });
+                await orderStatus.holdInSuspense(channelName, orderId, actualAmount, 'Payin callback for unknown order');
             }
-
-        } catch (error) {
-            await t.rollback();
-            throw error;
+            return res.send(successResponse);
         }
 
+        await orderStatus.applyPayinStatus(order, {
+            status,
+            utr,
+            actualAmount,
+            providerOrderId,
+            data: req.body,
+            source: 'callback',
+            channelName
+        });
+
         return res.send(successResponse);
 
     } catch (error) {
@@ -424,46 +278,17 @@ router.post('/:channel/payout', async (req, res) => {
             return res.send(successResponse);
         }
 
-        const order = await Order.findOne({ where: { orderId: orderId, type: 'payout' } });
-        if (!order || order.status === 'success' || order.status === 'failed') return res.send(successResponse);
-
-        const t = await sequelize.transaction();
+        // Payin refunds are paid out through the same provider payout flow
+        const order = await Order.findOne({ where: { orderId: orderId, type: ['payout', 'refund'] } });
+        if (!order) return res.send(successResponse);
 
-        try {
-            await order.update({
-                status: status,
-                utr: utr || order.utr,
-                providerOrderId: providerOrderId || order.providerOrderId,
-                callbackData: JSON.stringify(req.body)
-            }, { transaction: t });
-
-            await User.update(
-                { pendingBalance: sequelize.literal(`GREATEST(pendingBalance - ${order.amount}, 0)`) },
-                { where: { id: order.merchantId }, transaction: t }
-            );
-
-            if (status === 'success') {
-                const adminProfit = parseFloat(order.fee);
-                if (adminProfit > 0) {
-                    await User.update({ balance: sequelize.literal(`balance + ${adminProfit}`) }, { where: { role: 'admin' }, transaction: t });
-                }
-            } else if (status === 'failed') {
-                const refundAmount = parseFloat(order.amount) + parseFloat(order.fee);
-                await User.update({ balance: sequelize.literal(`balance + ${refundAmount}`) }, { where: { id: order.merchantId }, transaction: t });
-            }
-
-            await t.commit();
-
-            if (order.callbackUrl && !order.callbackSent) {
-                callbackService.sendPayoutCallback(order, status, utr).then(res => {
-                    if (!res.isOk) callbackService.scheduleRetry(order, status, utr, 'payout');
-                });
-            }
-
-        } catch (error) {
-            await t.rollback();
-            throw error;
-        }
+        await orderStatus.applyPayoutStatus(order, {
+            status,
+            utr,
+            providerOrderId,
+            data: req.body,
+            source: 'callback'
+        });
 
         return res.send(successResponse);
 
@@ -0,0 +1,64 @@
+/**
+ * Merchant Config API Routes
+ * POST /api/merchant/config - Effective order amount limits, payin expiry bounds and payout limits
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validateMerchant } = require('../../middleware/apiAuth');
+const { getEffectiveLimits } = require('../../services/limits');
+const payoutLimits = require('../../services/payoutLimits');
+
+/**
+ * POST /api/merchant/config
+ * Lets integrators validate amounts before calling the create endpoints
+ */
+router.post('/', validateMerchant, async (req, res) => {
+    try {
+        const merchant = req.merchant;
+        const limits = await getEffectiveLimits(merchant);
+        const velocity = payoutLimits.getLimits(merchant);
+
+        return res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            result: {
+                currency: 'INR',
+                payin: {
+                    minAmount: limits.payin.min,
+                    maxAmount: limits.payin.max,
+                    minExpireMinutes: limits.payinExpiry.min,
+                    maxExpireMinutes: limits.payinExpiry.max,
+                    defaultExpireMinutes: limits.payinExpiry.default
+                },
+                payoutBank: {
+                    minAmount: limits.payoutBank.min,
+                    maxAmount: limits.payoutBank.max
+                },
+                payoutUsdt: {
+                    minAmount: limits.payoutUsdt.min,
+                    maxAmount: limits.payoutUsdt.max
+                },
+                // Bank, UPI and USDT payouts and payin refunds together
+                payoutLimits: {
+                    maxAmountPerPayout: velocity.maxAmount,
+                    payoutsPerHour: velocity.hourlyCount,
+                    volumePerDay: velocity.dailyVolume,
+                    payoutsPerAccountPerDay: velocity.accountDailyCount,
+                    volumePerAccountPerDay: velocity.accountDailyVolume
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('[Merchant Config] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -2,25 +2,50 @@
  * Payin API Routes
  * POST /api/payin/create - Create deposit order
  * POST /api/payin/query - Query order status
+ * POST /api/payin/list - List orders with filters (cursor pagination)
  * POST /api/payin/check - Public order check (no signature)
+ * POST /api/payin/refund - Refund a successful payin (full or partial)
+ * POST /api/payin/refund/query - Query refund status
  */
 
 const express = require('express');
 const router = express.Router();
 const { validateMerchant } = require('../../middleware/apiAuth');
+const { idempotency } = require('../../middleware/idempotency');
 const channelRouter = require('../../services/channelRouter');
+const { resolveLimits, checkAmount, resolveExpireMinutes } = require('../../services/limits');
+const refunds = require('../../services/refunds');
+const { listOrders } = require('../../services/orderList');
+const statusPoller = require('../../services/statusPoller');
 const { Order, Channel, User } = require('../../models');
 const { v4: uuidv4 } = require('uuid');
 
 const APP_URL = process.env.APP_URL || 'https://payable.firestars.co';
 
+/**
+ * Order fields returned by query and list
+ */
+function formatPayin(order, refundedAmount) {
+    return {
+        merchantOrderId: order.orderId,
+        platformOrderId: order.id,
+        orderStatus: order.status,
+        settledAmount: parseFloat(order.netAmount),
+        requestedAmount: parseFloat(order.amount),
+        processingFee: parseFloat(order.fee),
+        transactionRef: order.utr || null,
+        refundedAmount,
+        createdAt: order.createdAt.toISOString()
+    };
+}
+
 /**
  * POST /api/payin/create
  * Create a new payin order
  */
-router.post('/create', validateMerchant, async (req, res) => {
+router.post('/create', validateMerchant, idempotency, async (req, res) => {
     try {
-        const { orderId, orderAmount, callbackUrl, skipUrl, param, customerName, customerPhone, customerEmail } = req.body;
+        const { orderId, orderAmount, callbackUrl, skipUrl, param, customerName, customerPhone, customerEmail, expireMinutes } = req.body;
         const merchant = req.merchant;
 
         // Check if payin is suspended
@@ -44,11 +69,13 @@ router.post('/create', validateMerchant, async (req, res) => {
         }
 
         const amount = parseFloat(orderAmount);
-        if (isNaN(amount) || amount < 100) {
+
+        const expiry = resolveExpireMinutes(merchant, expireMinutes);
+        if (expiry.error) {
             return res.json({
                 status: 'error',
-                errorCode: 'INVALID_AMOUNT',
-                message: 'Invalid amount. Minimum is ₹100',
+                errorCode: 'INVALID_PARAMS',
+                message: expiry.error,
                 timestamp: new Date().toISOString()
             });
         }
@@ -68,6 +95,18 @@ router.post('/create', validateMerchant, async (req, res) => {
 
         // Get channel rates from database or use defaults
         let channel = await Channel.findOne({ where: { name: channelName, isActive: true } });
+
+        // Validate against channel limits narrowed by merchant overrides
+        const amountError = checkAmount(amount, resolveLimits(merchant, channel, 'payin'));
+        if (amountError) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_AMOUNT',
+                message: amountError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         const payinRate = channel ? parseFloat(channel.payinRate) : 5.0;
 
         // Calculate fee
@@ -98,7 +137,7 @@ router.post('/create', validateMerchant, async (req, res) => {
                     callbackUrl: callbackUrl || merchant.callbackUrl,
                     skipUrl: skipUrl,
                     param: param,
-                    expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+                    expiresAt: new Date(Date.now() + expiry.minutes * 60 * 1000)
                 },
                 transaction: t
             });
@@ -182,7 +221,7 @@ router.post('/create', validateMerchant, async (req, res) => {
                 processingFee: parseFloat(fee.toFixed(2)),
                 paymentUrl: paymentUrl,
                 appLinks: Object.keys(deepLinks).length > 0 ? deepLinks : undefined,
-                expiresIn: 1800
+                expiresIn: expiry.minutes * 60
             }
         });
 
@@ -200,10 +239,11 @@ router.post('/create', validateMerchant, async (req, res) => {
 /**
  * POST /api/payin/query
  * Query payin order status (requires signature)
+ * refresh=true asks the upstream first (rate limited per order)
  */
 router.post('/query', validateMerchant, async (req, res) => {
     try {
-        const { orderId } = req.body;
+        const { orderId, refresh } = req.body;
         const merchant = req.merchant;
 
         if (!orderId) {
@@ -228,23 +268,67 @@ router.post('/query', validateMerchant, async (req, res) => {
             });
         }
 
+        if (refresh === true || refresh === 'true') {
+            const refreshed = await statusPoller.refreshOrder(order);
+            if (refreshed.retryAfter) {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'RATE_LIMITED',
+                    message: `Order was refreshed recently. Try again in ${refreshed.retryAfter}s`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        return res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            result: formatPayin(order, await refunds.getRefundedAmount(order.id))
+        });
+
+    } catch (error) {
+        console.error('[Payin Query] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/payin/list
+ * List orders by status, date range, amount range or UTR (requires signature)
+ */
+router.post('/list', validateMerchant, async (req, res) => {
+    try {
+        const merchant = req.merchant;
+
+        const page = await listOrders(merchant.id, 'payin', req.body);
+        if (page.error) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: page.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const refunded = await refunds.getRefundedAmounts(page.orders.map(order => order.id));
+
         return res.json({
             status: 'success',
             timestamp: new Date().toISOString(),
             result: {
-                merchantOrderId: order.orderId,
-                platformOrderId: order.id,
-                orderStatus: order.status,
-                settledAmount: parseFloat(order.netAmount),
-                requestedAmount: parseFloat(order.amount),
-                processingFee: parseFloat(order.fee),
-                transactionRef: order.utr || null,
-                createdAt: order.createdAt.toISOString()
+                orders: page.orders.map(order => formatPayin(order, refunded[order.id] || 0)),
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
             }
         });
 
     } catch (error) {
-        console.error('[Payin Query] Error:', error);
+        console.error('[Payin List] Error:', error);
         return res.status(500).json({
             status: 'error',
             errorCode: 'INTERNAL_ERROR',
@@ -321,4 +405,139 @@ router.post('/check', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/payin/refund
+ * Refund a successful payin to the payer's bank account (full or partial)
+ */
+router.post('/refund', validateMerchant, idempotency, async (req, res) => {
+    try {
+        const { orderId, refundId, amount, account, ifsc, personName, callbackUrl, param } = req.body;
+        const merchant = req.merchant;
+
+        // Refunds are paid out through the payout channel
+        if (merchant.canPayout === false) {
+            return res.json({
+                status: 'error',
+                errorCode: 'SERVICE_SUSPENDED',
+                message: 'Payout service suspended for this merchant',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        if (!orderId || !refundId || !amount || !account || !ifsc || !personName) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Missing required parameters: orderId, refundId, amount, account, ifsc, personName',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const existing = await Order.findOne({ where: { merchantId: merchant.id, orderId: refundId } });
+        if (existing) {
+            return res.json({
+                status: 'error',
+                errorCode: 'DUPLICATE_ORDER',
+                message: 'Duplicate refund ID',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const result = await refunds.createRefund(merchant, {
+            orderId, refundId, amount, account, ifsc, personName, callbackUrl, param
+        });
+
+        if (result.error) {
+            return res.json({
+                status: 'error',
+                ...result.error,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.json({
+            status: 'success',
+            message: result.refund.status === 'awaiting_approval' ? 'Refund awaiting approval' : 'Refund submitted successfully',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantRefundId: result.refund.orderId,
+                platformRefundId: result.refund.id,
+                merchantOrderId: result.payin.orderId,
+                refundAmount: parseFloat(result.refund.amount),
+                processingFee: parseFloat(result.refund.fee),
+                refundedAmount: result.refundedAmount,
+                refundStatus: result.refund.status
+            }
+        });
+
+    } catch (error) {
+        console.error('[Payin Refund] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/payin/refund/query
+ * Query refund status
+ */
+router.post('/refund/query', validateMerchant, async (req, res) => {
+    try {
+        const { refundId } = req.body;
+        const merchant = req.merchant;
+
+        if (!refundId) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Missing refundId',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const refund = await Order.findOne({
+            where: { merchantId: merchant.id, orderId: refundId, type: 'refund' }
+        });
+
+        if (!refund) {
+            return res.json({
+                status: 'error',
+                errorCode: 'NOT_FOUND',
+                message: 'Refund not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const payin = await Order.findByPk(refund.parentOrderId, { attributes: ['orderId'] });
+
+        return res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantRefundId: refund.orderId,
+                platformRefundId: refund.id,
+                merchantOrderId: payin ? payin.orderId : null,
+                refundStatus: refund.status,
+                refundAmount: parseFloat(refund.amount),
+                processingFee: parseFloat(refund.fee),
+                transactionRef: refund.utr || null,
+                createdAt: refund.createdAt.toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('[Refund Query] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
 module.exports = router;
@@ -1,51 +1,122 @@
 /**
  * Payout API Routes
  * POST /api/payout/bank - Bank transfer payout
+ * POST /api/payout/upi - UPI (VPA) payout
  * POST /api/payout/usdt - USDT transfer payout
+ * POST /api/payout/batch - Many bank payouts in one request
+ * POST /api/payout/batch/query - Batch status with per-item status
  * POST /api/payout/query - Query payout status
+ * POST /api/payout/cancel - Cancel a payout not yet sent to the payment channel
+ * GET  /api/payout/ifsc/:code - IFSC lookup (bank and branch)
+ * POST /api/payout/list - List payouts with filters (cursor pagination)
  * POST /api/payout/check - Public payout check
  */
 
 const express = require('express');
 const router = express.Router();
 const { validateMerchant } = require('../../middleware/apiAuth');
+const { idempotency } = require('../../middleware/idempotency');
 const channelRouter = require('../../services/channelRouter');
+const { resolveLimits, resolveUsdtLimits, checkAmount } = require('../../services/limits');
+const ledger = require('../../services/ledger');
+const { listOrders } = require('../../services/orderList');
+const statusPoller = require('../../services/statusPoller');
+const payoutBatch = require('../../services/payoutBatch');
+const ifscDirectory = require('../../services/ifsc');
+const beneficiaries = require('../../services/beneficiaries');
+const payoutFailover = require('../../services/payoutFailover');
+const payoutApproval = require('../../services/payoutApproval');
+const usdtPayout = require('../../services/usdtPayout');
+const payoutCancel = require('../../services/payoutCancel');
+const payoutLimits = require('../../services/payoutLimits');
 const { Order, Channel, User } = require('../../models');
 const { v4: uuidv4 } = require('uuid');
 const sequelize = require('../../config/database');
 
-const APP_URL = process.env.APP_URL || 'https://payable.firestars.co';
+/**
+ * Order fields returned by query and list
+ */
+function formatPayout(order) {
+    return {
+        orderId: order.orderId,
+        id: order.id,
+        type: order.payoutType || 'bank',
+        status: order.status,
+        amount: parseFloat(order.amount),
+        fee: parseFloat(order.fee),
+        utr: order.utr,
+        // Paid USDT payouts: utr is the tx hash
+        ...(order.payoutType === 'usdt' && order.payoutDetails && order.payoutDetails.txHash ? {
+            network: order.payoutDetails.sentNetwork,
+            usdtSent: order.payoutDetails.usdtSent
+        } : {}),
+        createdAt: order.createdAt.toISOString()
+    };
+}
 
 /**
  * POST /api/payout/bank
  * Create bank transfer payout
  */
-router.post('/bank', validateMerchant, async (req, res) => {
+router.post('/bank', validateMerchant, idempotency, async (req, res) => {
     try {
-        const { orderId, amount, account, ifsc, personName, callbackUrl, param } = req.body;
+        const { orderId, amount, beneficiaryId, callbackUrl, param } = req.body;
+        let { account, ifsc, personName } = req.body;
         const merchant = req.merchant;
 
         // Fake Payout Logic if suspended
         const isFakePayout = merchant.canPayout === false;
 
+        const requiredError = beneficiaries.checkRequired(merchant, beneficiaryId);
+        if (requiredError) {
+            return res.json({
+                status: 'error',
+                errorCode: requiredError.errorCode,
+                message: requiredError.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // A saved beneficiary replaces account, ifsc and personName
+        let beneficiary = null;
+        if (beneficiaryId) {
+            const found = await beneficiaries.getPayoutBeneficiary(merchant.id, beneficiaryId, 'bank');
+            if (found.error) {
+                return res.json({
+                    status: 'error',
+                    errorCode: found.error.errorCode,
+                    message: found.error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            beneficiary = found.beneficiary;
+            ({ account, ifsc } = beneficiary);
+            personName = beneficiary.name;
+        }
+
         // Validate required fields
         if (!orderId || !amount || !account || !ifsc || !personName) {
             return res.json({
                 status: 'error',
                 errorCode: 'INVALID_PARAMS',
-                message: 'Missing required parameters: orderId, amount, account, ifsc, personName',
+                message: 'Missing required parameters: orderId, amount, account, ifsc, personName (or beneficiaryId)',
                 timestamp: new Date().toISOString()
             });
         }
 
-        const payoutAmount = parseFloat(amount);
-        if (isNaN(payoutAmount) || payoutAmount < 100) {
+        // Catch IFSC typos here instead of as an upstream failure later
+        const bank = await ifscDirectory.resolve(ifsc);
+        if (bank.error) {
             return res.json({
-                code: 0,
-                msg: 'Invalid amount. Minimum is ₹100'
+                status: 'error',
+                errorCode: 'INVALID_IFSC',
+                message: bank.error,
+                timestamp: new Date().toISOString()
             });
         }
 
+        const payoutAmount = parseFloat(amount);
+
         // Check for duplicate order ID
         const existingOrder = await Order.findOne({
             where: { merchantId: merchant.id, orderId: orderId }
@@ -65,6 +136,17 @@ router.post('/bank', validateMerchant, async (req, res) => {
         const channelName = merchant.payoutChannel || merchant.assignedChannel || 'aapay';
         let channel = await Channel.findOne({ where: { name: channelName, isActive: true } });
 
+        // Validate against channel limits narrowed by merchant overrides
+        const amountError = checkAmount(payoutAmount, resolveLimits(merchant, channel, 'payout'));
+        if (amountError) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_AMOUNT',
+                message: amountError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         let customRates = {};
         try { customRates = JSON.parse(merchant.channel_rates || '{}'); } catch (e) { }
 
@@ -87,30 +169,16 @@ router.post('/bank', validateMerchant, async (req, res) => {
             });
         }
 
+        // Above the merchant's approval threshold: hold the balance and wait
+        // for approval in the dashboard before sending to the provider
+        const awaitingApproval = !isFakePayout && payoutApproval.requiresApproval(merchant, payoutAmount);
+        const initialStatus = isFakePayout ? 'success' : (awaitingApproval ? 'awaiting_approval' : 'processing');
+
         // Start transaction for balance deduction
         const t = await sequelize.transaction();
+        let order;
 
         try {
-            // Deduct from merchant balance
-            // If Fake: Deduct completely (no pending)
-            // If Real: Move to pending
-            let balanceUpdate = {};
-            if (isFakePayout) {
-                balanceUpdate = {
-                    balance: sequelize.literal(`balance - ${totalDeduction}`)
-                };
-            } else {
-                balanceUpdate = {
-                    balance: sequelize.literal(`balance - ${totalDeduction}`),
-                    pendingBalance: sequelize.literal(`pendingBalance + ${payoutAmount}`)
-                };
-            }
-
-            await User.update(
-                balanceUpdate,
-                { where: { id: merchant.id }, transaction: t }
-            );
-
             // Generate internal order ID
             const internalId = uuidv4();
 
@@ -121,18 +189,22 @@ router.post('/bank', validateMerchant, async (req, res) => {
                 channelName: channelName,
                 type: 'payout',
                 payoutType: 'bank',
+                beneficiaryId: beneficiary ? beneficiary.id : null,
                 amount: payoutAmount,
                 fee: totalFee,
                 netAmount: payoutAmount,
-                status: isFakePayout ? 'success' : 'processing', // Success immediately if fake
+                status: initialStatus, // Success immediately if fake
                 callbackUrl: callbackUrl || merchant.callbackUrl,
                 param: param,
                 payoutDetails: {
                     account: account,
-                    ifsc: ifsc,
-                    personName: personName
+                    ifsc: bank.details.ifsc,
+                    personName: personName,
+                    bankName: bank.details.bank,
+                    branch: bank.details.branch
                 }
             };
+            orderData.payoutAccount = payoutLimits.accountKey('bank', orderData.payoutDetails);
 
             if (isFakePayout) {
                 // Generate detailed fake UTR: 12 digits
@@ -141,61 +213,470 @@ router.post('/bank', validateMerchant, async (req, res) => {
                 orderData.providerOrderId = `FAKE_${uuidv4().substring(0, 8)}`;
             }
 
-            // Create order
-            const order = await Order.create(orderData, { transaction: t });
+            await payoutLimits.enforce(merchant, [orderData], t);
 
-            if (!isFakePayout) {
-                // Call upstream provider ONLY if NOT fake
-                const notifyUrl = `${APP_URL}/callback/${channelName}/payout`;
-                const providerResult = await channelRouter.createPayout(channelName, {
-                    orderId: orderId,
-                    amount: payoutAmount,
-                    accountNo: account,
-                    ifsc: ifsc,
-                    name: personName,
-                    notifyUrl: notifyUrl
+            // First-payout cap, counted under a lock on the beneficiary row
+            const capError = beneficiary && await beneficiaries.checkFirstPayout(beneficiary, payoutAmount, t);
+            if (capError) {
+                await t.rollback();
+                return res.json({
+                    status: 'error',
+                    errorCode: capError.errorCode,
+                    message: capError.message,
+                    timestamp: new Date().toISOString()
                 });
+            }
 
-                if (!providerResult.success) {
-                    await t.rollback();
-                    return res.json({
-                        code: 0,
-                        msg: providerResult.error || 'Failed to create payout'
-                    });
-                }
+            // Create order
+            order = await Order.create(orderData, { transaction: t });
 
-                await order.update({
-                    providerOrderId: providerResult.providerOrderId,
-                    providerResponse: JSON.stringify(providerResult)
-                }, { transaction: t });
+            // Deduct from merchant balance
+            // If Fake: Deduct completely (no pending)
+            // If Real: Move to pending until the provider reports a final status
+            if (isFakePayout) {
+                await ledger.recordInstantPayout(order, t);
+            } else {
+                await ledger.holdPayout(order, t);
             }
 
             await t.commit();
+        } catch (error) {
+            await t.rollback();
+            // Balance changed between the pre-check and the ledger lock
+            if (error.code === 'INSUFFICIENT_BALANCE') {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'INSUFFICIENT_BALANCE',
+                    message: 'Insufficient balance',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            if (error.code === 'PAYOUT_LIMIT_EXCEEDED') {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'PAYOUT_LIMIT_EXCEEDED',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            // Concurrent request with the same orderId won the unique index
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'DUPLICATE_ORDER',
+                    message: 'Duplicate order ID',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            throw error;
+        }
+
+        if (!isFakePayout && !awaitingApproval) {
+            // Call upstream provider ONLY if NOT fake, after the commit so the
+            // merchant row is not locked while the provider answers. Backup
+            // channels take over when the payout channel rejects it; with no
+            // response the order stays processing for the status poller.
+            const providerResult = await payoutFailover.sendOrder(order, merchant);
+            if (!providerResult.success && !providerResult.noResponse) {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'PROVIDER_ERROR',
+                    message: providerResult.error || 'Failed to create payout',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        return res.json({
+            status: 'success',
+            message: awaitingApproval ? 'Payout awaiting approval' : 'Payout submitted successfully',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantOrderId: orderId,
+                platformOrderId: order.id,
+                payoutAmount: payoutAmount,
+                processingFee: parseFloat(totalFee.toFixed(2)),
+                orderStatus: initialStatus,
+                utr: isFakePayout ? order.utr : undefined
+            }
+        });
+
+    } catch (error) {
+        console.error('[Payout Bank] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/payout/upi
+ * Create UPI payout to a VPA (only on channels that support UPI payouts)
+ */
+router.post('/upi', validateMerchant, idempotency, async (req, res) => {
+    try {
+        const { orderId, amount, beneficiaryId, callbackUrl, param } = req.body;
+        let { vpa, personName } = req.body;
+        const merchant = req.merchant;
+
+        // Fake Payout Logic if suspended
+        const isFakePayout = merchant.canPayout === false;
 
+        const requiredError = beneficiaries.checkRequired(merchant, beneficiaryId);
+        if (requiredError) {
             return res.json({
-                status: 'success',
-                message: 'Payout submitted successfully',
-                timestamp: new Date().toISOString(),
-                result: {
-                    merchantOrderId: orderId,
-                    platformOrderId: internalId,
-                    payoutAmount: payoutAmount,
-                    processingFee: parseFloat(totalFee.toFixed(2)),
-                    orderStatus: isFakePayout ? 'success' : 'processing',
-                    utr: isFakePayout ? orderData.utr : undefined
-                }
+                status: 'error',
+                errorCode: requiredError.errorCode,
+                message: requiredError.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // A saved beneficiary replaces vpa and personName
+        let beneficiary = null;
+        if (beneficiaryId) {
+            const found = await beneficiaries.getPayoutBeneficiary(merchant.id, beneficiaryId, 'upi');
+            if (found.error) {
+                return res.json({
+                    status: 'error',
+                    errorCode: found.error.errorCode,
+                    message: found.error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            beneficiary = found.beneficiary;
+            vpa = beneficiary.vpa;
+            personName = beneficiary.name;
+        }
+
+        if (!orderId || !amount || !vpa || !personName) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Missing required parameters: orderId, amount, vpa, personName (or beneficiaryId)',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const upiId = String(vpa).trim();
+        if (!beneficiaries.isValidVpa(upiId)) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Invalid VPA format (expected name@bank)',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const payoutAmount = parseFloat(amount);
+
+        const existingOrder = await Order.findOne({
+            where: { merchantId: merchant.id, orderId: orderId }
+        });
+
+        if (existingOrder) {
+            return res.json({
+                status: 'error',
+                errorCode: 'DUPLICATE_ORDER',
+                message: 'Duplicate order ID',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const channelName = merchant.payoutChannel || merchant.assignedChannel || 'aapay';
+        if (!channelRouter.supportsUpiPayout(channelName)) {
+            return res.json({
+                status: 'error',
+                errorCode: 'CHANNEL_ERROR',
+                message: 'UPI payouts are not available on your payout channel',
+                timestamp: new Date().toISOString()
+            });
+        }
+        const channel = await Channel.findOne({ where: { name: channelName, isActive: true } });
+
+        const amountError = checkAmount(payoutAmount, resolveLimits(merchant, channel, 'payout'));
+        if (amountError) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_AMOUNT',
+                message: amountError,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        // UPI has its own merchant rates; until they are set, the bank payout rates apply
+        let customRates = {};
+        try { customRates = JSON.parse(merchant.channel_rates || '{}'); } catch (e) { }
+
+        const bankRate = customRates.payoutRate || (channel ? parseFloat(channel.payoutRate) : 3.0);
+        const bankFixedFee = customRates.payoutFixedFee || (channel ? parseFloat(channel.payoutFixedFee) : 6.0);
+        const payoutRate = customRates.upiPayoutRate ?? bankRate;
+        const fixedFee = customRates.upiPayoutFixedFee ?? bankFixedFee;
+
+        const totalFee = (payoutAmount * payoutRate) / 100 + fixedFee;
+        const totalDeduction = payoutAmount + totalFee;
+
+        const currentBalance = parseFloat(merchant.balance) || 0;
+        if (currentBalance < totalDeduction) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INSUFFICIENT_BALANCE',
+                message: `Insufficient balance. Required: ₹${totalDeduction.toFixed(2)}, Available: ₹${currentBalance.toFixed(2)}`,
+                timestamp: new Date().toISOString()
             });
+        }
+
+        // Above the merchant's approval threshold: hold the balance and wait
+        // for approval in the dashboard before sending to the provider
+        const awaitingApproval = !isFakePayout && payoutApproval.requiresApproval(merchant, payoutAmount);
+        const initialStatus = isFakePayout ? 'success' : (awaitingApproval ? 'awaiting_approval' : 'processing');
+
+        const t = await sequelize.transaction();
+        let order;
+
+        try {
+            const internalId = uuidv4();
+
+            const orderData = {
+                id: internalId,
+                merchantId: merchant.id,
+                orderId: orderId,
+                channelName: channelName,
+                type: 'payout',
+                payoutType: 'upi',
+                beneficiaryId: beneficiary ? beneficiary.id : null,
+                amount: payoutAmount,
+                fee: totalFee,
+                netAmount: payoutAmount,
+                status: initialStatus,
+                callbackUrl: callbackUrl || merchant.callbackUrl,
+                param: param,
+                payoutDetails: {
+                    vpa: upiId,
+                    personName: personName
+                }
+            };
+            orderData.payoutAccount = payoutLimits.accountKey('upi', orderData.payoutDetails);
+
+            if (isFakePayout) {
+                orderData.utr = Math.floor(100000000000 + Math.random() * 900000000000).toString();
+                orderData.providerOrderId = `FAKE_${uuidv4().substring(0, 8)}`;
+            }
 
+            await payoutLimits.enforce(merchant, [orderData], t);
+
+            // First-payout cap, counted under a lock on the beneficiary row
+            const capError = beneficiary && await beneficiaries.checkFirstPayout(beneficiary, payoutAmount, t);
+            if (capError) {
+                await t.rollback();
+                return res.json({
+                    status: 'error',
+                    errorCode: capError.errorCode,
+                    message: capError.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            order = await Order.create(orderData, { transaction: t });
+
+            if (isFakePayout) {
+                await ledger.recordInstantPayout(order, t);
+            } else {
+                await ledger.holdPayout(order, t);
+            }
+
+            await t.commit();
         } catch (error) {
             await t.rollback();
+            if (error.code === 'INSUFFICIENT_BALANCE') {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'INSUFFICIENT_BALANCE',
+                    message: 'Insufficient balance',
+                    timestamp: new Date().toISOString()
+                });
+            }
+            if (error.code === 'PAYOUT_LIMIT_EXCEEDED') {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'PAYOUT_LIMIT_EXCEEDED',
+                    message: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'DUPLICATE_ORDER',
+                    message: 'Duplicate order ID',
+                    timestamp: new Date().toISOString()
+                });
+            }
             throw error;
         }
 
+        if (!isFakePayout && !awaitingApproval) {
+            // Sent after the commit, like bank payouts
+            const providerResult = await payoutFailover.sendOrder(order, merchant);
+            if (!providerResult.success && !providerResult.noResponse) {
+                return res.json({
+                    status: 'error',
+                    errorCode: 'PROVIDER_ERROR',
+                    message: providerResult.error || 'Failed to create payout',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        return res.json({
+            status: 'success',
+            message: awaitingApproval ? 'Payout awaiting approval' : 'Payout submitted successfully',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantOrderId: orderId,
+                platformOrderId: order.id,
+                payoutAmount: payoutAmount,
+                processingFee: parseFloat(totalFee.toFixed(2)),
+                orderStatus: initialStatus,
+                utr: isFakePayout ? order.utr : undefined
+            }
+        });
+
     } catch (error) {
-        console.error('[Payout Bank] Error:', error);
+        console.error('[Payout UPI] Error:', error);
         return res.status(500).json({
-            code: 0,
-            msg: 'Internal server error'
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/payout/batch
+ * Create many bank payouts at once. items is a JSON array sent as a string
+ * so that the signature covers its exact content.
+ */
+router.post('/batch', validateMerchant, idempotency, async (req, res) => {
+    try {
+        const { batchId, items, callbackUrl } = req.body;
+        const merchant = req.merchant;
+
+        let parsedItems;
+        try {
+            parsedItems = typeof items === 'string' ? JSON.parse(items) : null;
+        } catch (e) {
+            parsedItems = null;
+        }
+        if (!Array.isArray(parsedItems)) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'items must be a JSON array encoded as a string',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const created = await payoutBatch.createBatch(merchant, { batchId, items: parsedItems, callbackUrl, source: 'api' });
+        if (created.error) {
+            return res.json({
+                status: 'error',
+                errorCode: created.error.errorCode,
+                message: created.error.message,
+                errors: created.error.items,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const batch = created.batch;
+        return res.json({
+            status: 'success',
+            message: 'Batch accepted',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantBatchId: batch.batchId,
+                platformBatchId: batch.id,
+                itemCount: batch.itemCount,
+                totalAmount: parseFloat(batch.totalAmount),
+                totalFee: parseFloat(batch.totalFee),
+                batchStatus: batch.status
+            }
+        });
+
+    } catch (error) {
+        console.error('[Payout Batch] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/payout/batch/query
+ * Batch status and the status of every item
+ */
+router.post('/batch/query', validateMerchant, async (req, res) => {
+    try {
+        const { batchId } = req.body;
+        const merchant = req.merchant;
+
+        if (!batchId) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Missing batchId',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const found = await payoutBatch.getBatchStatus(merchant.id, batchId);
+        if (!found) {
+            return res.json({
+                status: 'error',
+                errorCode: 'NOT_FOUND',
+                message: 'Batch not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const { batch, orders, counts } = found;
+        return res.json({
+            status: 'success',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantBatchId: batch.batchId,
+                platformBatchId: batch.id,
+                batchStatus: batch.status,
+                itemCount: batch.itemCount,
+                totalAmount: parseFloat(batch.totalAmount),
+                totalFee: parseFloat(batch.totalFee),
+                counts,
+                items: orders.map(order => ({
+                    orderId: order.orderId,
+                    id: order.id,
+                    status: order.status,
+                    amount: parseFloat(order.amount),
+                    fee: parseFloat(order.fee),
+                    utr: order.utr || null
+                })),
+                createdAt: batch.createdAt.toISOString()
+            }
+        });
+
+    } catch (error) {
+        console.error('[Payout Batch Query] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
         });
     }
 });
@@ -204,7 +685,7 @@ router.post('/bank', validateMerchant, async (req, res) => {
  * POST /api/payout/usdt
  * Create USDT transfer payout
  */
-router.post('/usdt', validateMerchant, async (req, res) => {
+router.post('/usdt', validateMerchant, idempotency, async (req, res) => {
     try {
         const { orderId, amount, walletAddress, network, callbackUrl, param } = req.body;
         const merchant = req.merchant;
@@ -226,23 +707,34 @@ router.post('/usdt', validateMerchant, async (req, res) => {
         }
 
         const payoutAmount = parseFloat(amount);
-        // USDT minimum is higher
-        if (isNaN(payoutAmount) || payoutAmount < 500) {
+        // USDT minimum is higher than the bank payout minimum
+        const channelName = merchant.payoutChannel || merchant.assignedChannel || 'aapay';
+        const channel = await Channel.findOne({ where: { name: channelName, isActive: true } });
+        const amountError = checkAmount(payoutAmount, resolveUsdtLimits(merchant, channel));
+        if (amountError) {
             return res.json({
                 code: 0,
-                msg: 'Invalid amount. Minimum is ₹500 equivalent for USDT'
+                msg: amountError
             });
         }
 
         // Validate network
-        const validNetworks = ['TRC20', 'ERC20', 'BEP20'];
-        if (!validNetworks.includes(network.toUpperCase())) {
+        if (!usdtPayout.NETWORKS.includes(network.toUpperCase())) {
             return res.json({
                 code: 0,
                 msg: 'Invalid network. Supported: TRC20, ERC20, BEP20'
             });
         }
 
+        // Base58check (TRC20) / EIP-55 checksum (ERC20, BEP20)
+        const addressError = usdtPayout.validateAddress(network.toUpperCase(), walletAddress);
+        if (addressError) {
+            return res.json({
+                code: -2,
+                msg: addressError
+            });
+        }
+
         // Check for duplicate
         const existingOrder = await Order.findOne({
             where: { merchantId: merchant.id, orderId: orderId }
@@ -275,59 +767,80 @@ router.post('/usdt', validateMerchant, async (req, res) => {
             });
         }
 
+        // Above the merchant's approval threshold: held until approved in the
+        // dashboard, then queued for the admin like any USDT payout
+        const initialStatus = payoutApproval.requiresApproval(merchant, payoutAmount) ? 'awaiting_approval' : 'pending';
+
         const t = await sequelize.transaction();
 
         try {
-            // Deduct balance
-            await User.update(
-                {
-                    balance: sequelize.literal(`balance - ${payoutAmount}`),
-                    pendingBalance: sequelize.literal(`pendingBalance + ${payoutAmount}`)
-                },
-                { where: { id: merchant.id }, transaction: t }
-            );
-
             const internalId = uuidv4();
+            const payoutDetails = {
+                walletAddress: String(walletAddress).trim(),
+                network: network.toUpperCase(),
+                usdtRate: usdtRate,
+                usdtAmount: usdtAmount
+            };
+            const payoutAccount = payoutLimits.accountKey('usdt', payoutDetails);
+
+            await payoutLimits.enforce(merchant, [{ amount: payoutAmount, payoutAccount }], t);
 
             // Create order
             const order = await Order.create({
                 id: internalId,
                 merchantId: merchant.id,
                 orderId: orderId,
-                channelName: merchant.payoutChannel || merchant.assignedChannel || 'aapay',
+                channelName: channelName,
                 type: 'payout',
                 payoutType: 'usdt',
                 amount: payoutAmount,
                 fee: fee,
                 netAmount: payoutAmount,
-                status: 'pending',
+                status: initialStatus,
                 callbackUrl: callbackUrl || merchant.callbackUrl,
                 param: param,
-                payoutDetails: {
-                    walletAddress: walletAddress,
-                    network: network.toUpperCase(),
-                    usdtRate: usdtRate,
-                    usdtAmount: usdtAmount
-                }
+                payoutDetails: payoutDetails,
+                payoutAccount: payoutAccount
             }, { transaction: t });
 
+            // Deduct balance
+            await ledger.holdPayout(order, t);
+
             await t.commit();
 
-            // Note: USDT payouts may require manual processing or different API
+            // Paid by an admin from the USDT payout queue (see services/usdtPayout)
             return res.json({
                 code: 1,
-                msg: 'USDT payout submitted',
+                msg: initialStatus === 'awaiting_approval' ? 'USDT payout awaiting approval' : 'USDT payout submitted',
                 data: {
                     orderId: orderId,
                     id: internalId,
                     amount: payoutAmount,
                     fee: fee,
-                    status: 'pending'
+                    status: initialStatus
                 }
             });
 
         } catch (error) {
             await t.rollback();
+            if (error.code === 'INSUFFICIENT_BALANCE') {
+                return res.json({
+                    code: -3,
+                    msg: 'Insufficient balance'
+                });
+            }
+            if (error.code === 'PAYOUT_LIMIT_EXCEEDED') {
+                return res.json({
+                    code: -7,
+                    msg: error.message
+                });
+            }
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return res.json({
+                    code: 0,
+                    msg: 'Duplicate order ID'
+                });
+            }
             throw error;
         }
 
@@ -343,10 +856,11 @@ router.post('/usdt', validateMerchant, async (req, res) => {
 /**
  * POST /api/payout/query
  * Query payout status (requires signature)
+ * refresh=true asks the upstream first (rate limited per order)
  */
 router.post('/query', validateMerchant, async (req, res) => {
     try {
-        const { orderId } = req.body;
+        const { orderId, refresh } = req.body;
         const merchant = req.merchant;
 
         if (!orderId) {
@@ -367,22 +881,149 @@ router.post('/query', validateMerchant, async (req, res) => {
             });
         }
 
+        if (refresh === true || refresh === 'true') {
+            const refreshed = await statusPoller.refreshOrder(order);
+            if (refreshed.retryAfter) {
+                return res.json({
+                    code: -6,
+                    msg: `Order was refreshed recently. Try again in ${refreshed.retryAfter}s`
+                });
+            }
+        }
+
+        return res.json({
+            code: 1,
+            data: formatPayout(order)
+        });
+
+    } catch (error) {
+        console.error('[Payout Query] Error:', error);
+        return res.status(500).json({
+            code: 0,
+            msg: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * POST /api/payout/cancel
+ * Cancel a payout (requires signature). Refunds amount + fee and sends the failed callback.
+ */
+router.post('/cancel', validateMerchant, async (req, res) => {
+    try {
+        const { orderId } = req.body;
+        const merchant = req.merchant;
+
+        if (!orderId) {
+            return res.json({
+                status: 'error',
+                errorCode: 'INVALID_PARAMS',
+                message: 'Missing orderId',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const order = await Order.findOne({
+            where: { merchantId: merchant.id, orderId: orderId, type: 'payout' }
+        });
+
+        if (!order) {
+            return res.json({
+                status: 'error',
+                errorCode: 'NOT_FOUND',
+                message: 'Order not found',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        const cancelled = await payoutCancel.cancelPayout(order, 'api');
+        if (cancelled.error) {
+            return res.json({
+                status: 'error',
+                errorCode: cancelled.error.errorCode,
+                message: cancelled.error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        return res.json({
+            status: 'success',
+            message: 'Payout cancelled',
+            timestamp: new Date().toISOString(),
+            result: {
+                merchantOrderId: order.orderId,
+                platformOrderId: order.id,
+                refundedAmount: parseFloat((parseFloat(order.amount) + parseFloat(order.fee)).toFixed(2)),
+                orderStatus: order.status
+            }
+        });
+
+    } catch (error) {
+        console.error('[Payout Cancel] Error:', error);
+        return res.status(500).json({
+            status: 'error',
+            errorCode: 'INTERNAL_ERROR',
+            message: 'Internal server error',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+/**
+ * POST /api/payout/list
+ * List payouts by status, date range, amount range or UTR (requires signature)
+ */
+router.post('/list', validateMerchant, async (req, res) => {
+    try {
+        const merchant = req.merchant;
+
+        const page = await listOrders(merchant.id, 'payout', req.body);
+        if (page.error) {
+            return res.json({
+                code: -2,
+                msg: page.error
+            });
+        }
+
         return res.json({
             code: 1,
             data: {
-                orderId: order.orderId,
-                id: order.id,
-                type: order.payoutType || 'bank',
-                status: order.status,
-                amount: parseFloat(order.amount),
-                fee: parseFloat(order.fee),
-                utr: order.utr,
-                createdAt: order.createdAt.toISOString()
+                orders: page.orders.map(formatPayout),
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor
             }
         });
 
     } catch (error) {
-        console.error('[Payout Query] Error:', error);
+        console.error('[Payout List] Error:', error);
+        return res.status(500).json({
+            code: 0,
+            msg: 'Internal server error'
+        });
+    }
+});
+
+/**
+ * GET /api/payout/ifsc/:code
+ * Look up an IFSC code in the directory (signature over an empty body)
+ */
+router.get('/ifsc/:code', validateMerchant, async (req, res) => {
+    try {
+        const bank = await ifscDirectory.resolve(req.params.code);
+        if (bank.error) {
+            return res.json({
+                code: ifscDirectory.isValidFormat(req.params.code) ? -4 : -2,
+                msg: bank.error
+            });
+        }
+
+        return res.json({
+            code: 1,
+            data: bank.details
+        });
+
+    } catch (error) {
+        console.error('[Payout IFSC] Error:', error);
         return res.status(500).json({
             code: 0,
             msg: 'Internal server error'
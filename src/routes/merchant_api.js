@@ -5,14 +5,37 @@
 
 const express = require('express');
 const router = express.Router();
-const { Order, Settlement, User, Channel, sequelize } = require('../models');
+const { Order, Settlement, SettlementSchedule, User, Channel, PayoutBatch, Beneficiary, sequelize } = require('../models');
 const { getStats, getChartData } = require('../services/stats');
+const ledger = require('../services/ledger');
+const { getStatement } = require('../services/statement');
+const settlementScheduler = require('../services/settlementScheduler');
+const statusPoller = require('../services/statusPoller');
+const payoutBatch = require('../services/payoutBatch');
+const beneficiaries = require('../services/beneficiaries');
+const payoutApproval = require('../services/payoutApproval');
+const payoutCancel = require('../services/payoutCancel');
+const { resolveLimits, checkAmount, resolveExpireMinutes } = require('../services/limits');
 const { v4: uuidv4 } = require('uuid');
 const otplib = require('otplib');
 
 // Configure otplib
 otplib.authenticator.options = { window: 2, step: 30 };
 
+/**
+ * Check the merchant's 2FA code for a sensitive action
+ * @param {string} action - completes 'Please enable 2FA first to ...'
+ * @returns {string|null} error message
+ */
+function checkMerchantTotp(merchant, totpCode, action) {
+    if (!merchant.two_fa_enabled || !merchant.two_fa_secret) {
+        return `Please enable 2FA first to ${action}`;
+    }
+    if (!totpCode) return '2FA code is required';
+    if (!otplib.authenticator.check(totpCode, merchant.two_fa_secret)) return 'Invalid 2FA code';
+    return null;
+}
+
 // Middleware to ensure merchant role
 function ensureMerchant(req, res, next) {
     if (req.session.user && req.session.user.role === 'merchant') {
@@ -62,7 +85,8 @@ router.get('/orders', async (req, res) => {
         const { Op } = require('sequelize');
 
         const where = { merchantId: req.session.user.id };
-        if (type) where.type = type;
+        // Comma-separated list, e.g. payout,refund
+        if (type) where.type = String(type).split(',');
         if (status) where.status = status;
         if (startDate || endDate) {
             where.createdAt = {};
@@ -100,6 +124,103 @@ router.get('/orders', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/merchant/orders/:orderId/refresh
+ * Check an order's status with the upstream now (rate limited per order)
+ */
+router.post('/orders/:orderId/refresh', async (req, res) => {
+    try {
+        const order = await Order.findOne({
+            where: { merchantId: req.session.user.id, orderId: req.params.orderId }
+        });
+        if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+
+        const result = await statusPoller.refreshOrder(order);
+        if (result.retryAfter) {
+            return res.status(429).json({ success: false, error: `Checked recently. Try again in ${result.retryAfter}s` });
+        }
+
+        res.json({ success: true, status: order.status, refreshed: result.refreshed });
+    } catch (error) {
+        console.error('[MerchantAPI] Order refresh error:', error);
+        res.status(500).json({ success: false, error: 'Failed to refresh order' });
+    }
+});
+
+/**
+ * GET /api/merchant/payout-batches
+ * Recent batch payouts
+ */
+router.get('/payout-batches', async (req, res) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const { count, rows } = await PayoutBatch.findAndCountAll({
+            where: { merchantId: req.session.user.id },
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            batches: rows,
+            pagination: { total: count, page: parseInt(page), pages: Math.ceil(count / limit) }
+        });
+    } catch (error) {
+        console.error('[MerchantAPI] Payout batches error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch batches' });
+    }
+});
+
+/**
+ * GET /api/merchant/payout-batches/:batchId
+ * Batch detail with per-item status
+ */
+router.get('/payout-batches/:batchId', async (req, res) => {
+    try {
+        const found = await payoutBatch.getBatchStatus(req.session.user.id, req.params.batchId);
+        if (!found) return res.status(404).json({ success: false, error: 'Batch not found' });
+        res.json({ success: true, ...found });
+    } catch (error) {
+        console.error('[MerchantAPI] Payout batch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch batch' });
+    }
+});
+
+/**
+ * POST /api/merchant/payout-batches
+ * Create a batch payout from an uploaded CSV/XLSX file (parsed in the browser, requires 2FA)
+ */
+router.post('/payout-batches', async (req, res) => {
+    try {
+        const { batchId, rows, totpCode } = req.body;
+        const merchant = await User.findByPk(req.session.user.id);
+
+        // Payouts move money, so require 2FA
+        const totpError = checkMerchantTotp(merchant, totpCode, 'upload batch payouts');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        if (!Array.isArray(rows)) {
+            return res.status(400).json({ success: false, error: 'No rows found in the file' });
+        }
+
+        const created = await payoutBatch.createBatch(merchant, {
+            batchId,
+            items: payoutBatch.rowsToItems(rows),
+            source: 'upload'
+        });
+        if (created.error) {
+            return res.status(400).json({ success: false, error: created.error.message, items: created.error.items });
+        }
+
+        console.log(`[MerchantAPI] Batch ${created.batch.batchId} uploaded by ${merchant.username}: ${created.batch.itemCount} items`);
+        res.json({ success: true, batch: created.batch });
+    } catch (error) {
+        console.error('[MerchantAPI] Create payout batch error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create batch' });
+    }
+});
+
 /**
  * GET /api/merchant/settlements
  * Get settlement history
@@ -174,11 +295,6 @@ router.post('/settlements', async (req, res) => {
         const t = await sequelize.transaction();
 
         try {
-            // Deduct balance immediately
-            await merchant.update({
-                balance: sequelize.literal(`balance - ${requestAmount}`)
-            }, { transaction: t });
-
             // Create settlement record
             const settlement = await Settlement.create({
                 merchantId,
@@ -188,11 +304,17 @@ router.post('/settlements', async (req, res) => {
                 notes
             }, { transaction: t });
 
+            // Deduct balance immediately
+            await ledger.holdSettlement(settlement, t);
+
             await t.commit();
             res.json({ success: true, message: 'Settlement requested', settlement });
 
         } catch (error) {
             await t.rollback();
+            if (error.code === 'INSUFFICIENT_BALANCE') {
+                return res.status(400).json({ success: false, error: 'Insufficient balance' });
+            }
             throw error;
         }
 
@@ -202,13 +324,83 @@ router.post('/settlements', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/merchant/settlement-schedule
+ * Get automatic settlement schedule
+ */
+router.get('/settlement-schedule', async (req, res) => {
+    try {
+        const schedule = await SettlementSchedule.findOne({ where: { merchantId: req.session.user.id } });
+        res.json({ success: true, schedule });
+    } catch (error) {
+        console.error('[MerchantAPI] Settlement schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch settlement schedule' });
+    }
+});
+
+/**
+ * PUT /api/merchant/settlement-schedule
+ * Create or update automatic settlement schedule (requires 2FA)
+ */
+router.put('/settlement-schedule', async (req, res) => {
+    try {
+        const { totpCode } = req.body;
+        const merchant = await User.findByPk(req.session.user.id);
+
+        // Destination changes move money, so require 2FA
+        const totpError = checkMerchantTotp(merchant, totpCode, 'manage automatic settlements');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const { error, values } = await settlementScheduler.validateSchedule(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        values.nextRunAt = settlementScheduler.computeNextRun(values);
+
+        let schedule = await SettlementSchedule.findOne({ where: { merchantId: merchant.id } });
+        if (schedule) {
+            await schedule.update(values);
+        } else {
+            schedule = await SettlementSchedule.create({ merchantId: merchant.id, ...values });
+        }
+
+        console.log(`[MerchantAPI] Settlement schedule saved for ${merchant.username}: ${values.frequency} (${values.isActive ? 'active' : 'paused'})`);
+        res.json({ success: true, message: 'Settlement schedule saved', schedule });
+
+    } catch (error) {
+        console.error('[MerchantAPI] Save settlement schedule error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save settlement schedule' });
+    }
+});
+
+/**
+ * GET /api/merchant/statement
+ * Account statement (every balance movement) for a period
+ */
+router.get('/statement', async (req, res) => {
+    try {
+        const { startDate, endDate, page, limit } = req.query;
+
+        const statement = await getStatement(req.session.user.id, { startDate, endDate, page, limit });
+        if (!statement) {
+            return res.status(400).json({ success: false, error: 'Invalid date range' });
+        }
+
+        res.json({ success: true, statement });
+    } catch (error) {
+        console.error('[MerchantAPI] Statement error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch statement' });
+    }
+});
+
 /**
  * POST /api/merchant/paylink
  * Generate payment link
  */
 router.post('/paylink', async (req, res) => {
     try {
-        const { amount, customerName } = req.body;
+        const { amount, customerName, expireMinutes } = req.body;
         const merchantId = req.session.user.id;
 
         const merchant = await User.findByPk(merchantId);
@@ -217,12 +409,18 @@ router.post('/paylink', async (req, res) => {
         }
 
         const amt = parseFloat(amount);
-        if (isNaN(amt) || amt < 100) {
-            return res.status(400).json({ success: false, error: 'Invalid amount. Minimum is ₹100' });
+
+        const expiry = resolveExpireMinutes(merchant, expireMinutes);
+        if (expiry.error) {
+            return res.status(400).json({ success: false, error: expiry.error });
         }
 
         // Get channel rates
         const channel = await Channel.findOne({ where: { name: merchant.assignedChannel } });
+        const amountError = checkAmount(amt, resolveLimits(merchant, channel, 'payin'));
+        if (amountError) {
+            return res.status(400).json({ success: false, error: amountError });
+        }
         const payinRate = channel ? parseFloat(channel.payinRate) : 5.0;
         const fee = (amt * payinRate) / 100;
         const netAmount = amt - fee;
@@ -241,7 +439,7 @@ router.post('/paylink', async (req, res) => {
             status: 'pending',
             type: 'payin',
             channelName: channelName,
-            expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+            expiresAt: new Date(Date.now() + expiry.minutes * 60 * 1000)
         });
 
         // Use APP_URL from environment to generate proper production link
@@ -266,7 +464,8 @@ router.get('/export/orders', async (req, res) => {
         const { Op } = require('sequelize');
 
         const where = { merchantId: req.session.user.id };
-        if (type) where.type = type;
+        // Comma-separated list, e.g. payout,refund
+        if (type) where.type = String(type).split(',');
         if (status) where.status = status;
         if (startDate || endDate) {
             where.createdAt = {};
@@ -465,4 +664,237 @@ router.post('/ips/remove', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/merchant/beneficiaries
+ * Saved beneficiaries
+ */
+router.get('/beneficiaries', async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const { count, rows } = await Beneficiary.findAndCountAll({
+            where: { merchantId: req.session.user.id },
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            beneficiaries: rows.map(beneficiaries.formatBeneficiary),
+            firstPayoutCap: beneficiaries.FIRST_PAYOUT_CAP,
+            pagination: { total: count, page: parseInt(page), pages: Math.ceil(count / limit) }
+        });
+    } catch (error) {
+        console.error('[MerchantAPI] Beneficiaries error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch beneficiaries' });
+    }
+});
+
+/**
+ * POST /api/merchant/beneficiaries
+ * Add a beneficiary (requires 2FA); payouts open after the cooling-off period
+ */
+router.post('/beneficiaries', async (req, res) => {
+    try {
+        const { type, name, account, ifsc, vpa, totpCode } = req.body;
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'manage beneficiaries');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const created = await beneficiaries.createBeneficiary(merchant.id, { type, name, account, ifsc, vpa });
+        if (created.error) return res.status(400).json({ success: false, error: created.error });
+
+        console.log(`[MerchantAPI] Beneficiary ${created.beneficiary.id} (${type}) added by ${merchant.username}`);
+        res.json({ success: true, message: 'Beneficiary added', beneficiary: beneficiaries.formatBeneficiary(created.beneficiary) });
+    } catch (error) {
+        console.error('[MerchantAPI] Add beneficiary error:', error);
+        res.status(500).json({ success: false, error: 'Failed to add beneficiary' });
+    }
+});
+
+/**
+ * PUT /api/merchant/beneficiaries/:id
+ * Rename, enable or disable a beneficiary (requires 2FA).
+ * Account details cannot change: add a new beneficiary instead.
+ */
+router.put('/beneficiaries/:id', async (req, res) => {
+    try {
+        const { name, status, totpCode } = req.body;
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'manage beneficiaries');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const beneficiary = await Beneficiary.findOne({ where: { id: req.params.id, merchantId: merchant.id } });
+        if (!beneficiary) return res.status(404).json({ success: false, error: 'Beneficiary not found' });
+
+        const updates = {};
+        if (name !== undefined) {
+            const holderName = String(name).trim();
+            if (!holderName || holderName.length > 100) {
+                return res.status(400).json({ success: false, error: 'Name is required (max 100 characters)' });
+            }
+            updates.name = holderName;
+        }
+        if (status !== undefined) {
+            if (!['active', 'disabled'].includes(status)) {
+                return res.status(400).json({ success: false, error: 'Status must be active or disabled' });
+            }
+            updates.status = status;
+        }
+
+        await beneficiary.update(updates);
+
+        console.log(`[MerchantAPI] Beneficiary ${beneficiary.id} updated by ${merchant.username}: ${JSON.stringify(updates)}`);
+        res.json({ success: true, message: 'Beneficiary updated', beneficiary: beneficiaries.formatBeneficiary(beneficiary) });
+    } catch (error) {
+        console.error('[MerchantAPI] Update beneficiary error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update beneficiary' });
+    }
+});
+
+/**
+ * DELETE /api/merchant/beneficiaries/:id
+ * Delete a beneficiary (requires 2FA). Past payouts keep their details.
+ */
+router.delete('/beneficiaries/:id', async (req, res) => {
+    try {
+        const { totpCode } = req.body || {};
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'manage beneficiaries');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const deleted = await Beneficiary.destroy({ where: { id: req.params.id, merchantId: merchant.id } });
+        if (!deleted) return res.status(404).json({ success: false, error: 'Beneficiary not found' });
+
+        console.log(`[MerchantAPI] Beneficiary ${req.params.id} deleted by ${merchant.username}`);
+        res.json({ success: true, message: 'Beneficiary deleted' });
+    } catch (error) {
+        console.error('[MerchantAPI] Delete beneficiary error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete beneficiary' });
+    }
+});
+
+/**
+ * GET /api/merchant/payout-approval
+ * Payout approval threshold (null = approval off)
+ */
+router.get('/payout-approval', async (req, res) => {
+    try {
+        const merchant = await User.findByPk(req.session.user.id, {
+            attributes: ['payoutApprovalThreshold', 'two_fa_enabled']
+        });
+        res.json({
+            success: true,
+            threshold: merchant.payoutApprovalThreshold !== null ? parseFloat(merchant.payoutApprovalThreshold) : null,
+            has2fa: !!merchant.two_fa_enabled
+        });
+    } catch (error) {
+        console.error('[MerchantAPI] Payout approval error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch payout approval settings' });
+    }
+});
+
+/**
+ * PUT /api/merchant/payout-approval
+ * Set the payout approval threshold (requires 2FA). Empty or 0 turns approval off.
+ */
+router.put('/payout-approval', async (req, res) => {
+    try {
+        const { threshold, totpCode } = req.body;
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'require payout approval');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        let value = null;
+        if (threshold !== undefined && threshold !== null && threshold !== '') {
+            value = parseFloat(threshold);
+            if (isNaN(value) || value < 0) {
+                return res.status(400).json({ success: false, error: 'Threshold must be a positive amount' });
+            }
+            if (value === 0) value = null;
+        }
+
+        await merchant.update({ payoutApprovalThreshold: value });
+
+        console.log(`[MerchantAPI] Payout approval threshold for ${merchant.username}: ${value === null ? 'off' : value}`);
+        res.json({ success: true, message: 'Payout approval settings saved', threshold: value });
+    } catch (error) {
+        console.error('[MerchantAPI] Save payout approval error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save payout approval settings' });
+    }
+});
+
+/**
+ * POST /api/merchant/payouts/:id/approve
+ * Approve a payout awaiting approval and send it to the payment channel (requires 2FA)
+ */
+router.post('/payouts/:id/approve', async (req, res) => {
+    try {
+        const { totpCode } = req.body || {};
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'approve payouts');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const result = await payoutApproval.approvePayout(merchant, req.params.id);
+        if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+        res.json({ success: true, message: 'Payout approved', status: result.order.status });
+    } catch (error) {
+        console.error('[MerchantAPI] Approve payout error:', error);
+        res.status(500).json({ success: false, error: 'Failed to approve payout' });
+    }
+});
+
+/**
+ * POST /api/merchant/payouts/:id/reject
+ * Reject a payout awaiting approval: the amount and fee are refunded (requires 2FA)
+ */
+router.post('/payouts/:id/reject', async (req, res) => {
+    try {
+        const { totpCode } = req.body || {};
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'reject payouts');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const result = await payoutApproval.rejectPayout(merchant, req.params.id);
+        if (result.error) return res.status(400).json({ success: false, error: result.error });
+
+        res.json({ success: true, message: 'Payout rejected', status: 'failed' });
+    } catch (error) {
+        console.error('[MerchantAPI] Reject payout error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reject payout' });
+    }
+});
+
+/**
+ * POST /api/merchant/payouts/:id/cancel
+ * Cancel a payout not yet sent to the payment channel: amount and fee are refunded (requires 2FA)
+ */
+router.post('/payouts/:id/cancel', async (req, res) => {
+    try {
+        const { totpCode } = req.body || {};
+        const merchant = await User.findByPk(req.session.user.id);
+
+        const totpError = checkMerchantTotp(merchant, totpCode, 'cancel payouts');
+        if (totpError) return res.status(400).json({ success: false, error: totpError });
+
+        const order = await Order.findOne({ where: { id: req.params.id, merchantId: merchant.id, type: 'payout' } });
+        if (!order) return res.status(404).json({ success: false, error: 'Payout not found' });
+
+        const result = await payoutCancel.cancelPayout(order, merchant.username);
+        if (result.error) return res.status(400).json({ success: false, error: result.error.message });
+
+        res.json({ success: true, message: 'Payout cancelled', status: result.order.status });
+    } catch (error) {
+        console.error('[MerchantAPI] Cancel payout error:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel payout' });
+    }
+});
+
 module.exports = router;
@@ -139,6 +139,8 @@ router.get('/api/:orderId', async (req, res) => {
             payUrl: order.payUrl,
             deepLinks: order.deepLinks || {},
             expiresAt: order.expiresAt ? new Date(order.expiresAt).getTime() : null,
+            // Lets the page correct for a wrong device clock
+            serverTime: Date.now(),
             skipUrl: order.skipUrl
         };
 
@@ -173,7 +173,7 @@ async function createPayout({ orderId, amount, accountNo, ifsc, name, upi, notif
         }
     } catch (error) {
         console.error('[AaPay] Payout exception:', error.message);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, noResponse: !error.response };
     }
 }
 
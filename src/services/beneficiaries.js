@@ -0,0 +1,145 @@
+/**
+ * Beneficiary Service
+ * Saved payout destinations with anti-fraud controls:
+ * - a new beneficiary only receives payouts after BENEFICIARY_COOLING_OFF_HOURS
+ * - the first payout to a beneficiary is capped at BENEFICIARY_FIRST_PAYOUT_CAP
+ * Admins can set users.requireBeneficiary so bank and UPI payouts cannot
+ * skip these checks by sending a raw account or VPA.
+ */
+
+const { Beneficiary, Order } = require('../models');
+const ifscDirectory = require('./ifsc');
+
+// name@handle, e.g. ravi.kumar@okaxis or 9876543210@ybl
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,64}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+const parseSetting = (value, fallback) => (value !== undefined && value !== '' && !isNaN(parseFloat(value)) ? parseFloat(value) : fallback);
+const COOLING_OFF_MS = parseSetting(process.env.BENEFICIARY_COOLING_OFF_HOURS, 24) * 60 * 60 * 1000;
+const FIRST_PAYOUT_CAP = parseSetting(process.env.BENEFICIARY_FIRST_PAYOUT_CAP, 10000);
+
+const beneficiaryError = (errorCode, message) => ({ error: { errorCode, message } });
+
+function isValidVpa(vpa) {
+    return VPA_PATTERN.test(String(vpa || '').trim());
+}
+
+/**
+ * Fields returned to the merchant
+ */
+function formatBeneficiary(beneficiary) {
+    return {
+        id: beneficiary.id,
+        type: beneficiary.type,
+        name: beneficiary.name,
+        account: beneficiary.account,
+        ifsc: beneficiary.ifsc,
+        bankName: beneficiary.bankName,
+        vpa: beneficiary.vpa,
+        status: beneficiary.status,
+        activeAfter: beneficiary.activeAfter,
+        createdAt: beneficiary.createdAt
+    };
+}
+
+/**
+ * Save a beneficiary; payouts open after the cooling-off period
+ * @param {number} merchantId
+ * @param {Object} input - { type, name, account, ifsc } or { type, name, vpa }
+ * @returns {Promise<{ error: string } | { beneficiary: Object }>}
+ */
+async function createBeneficiary(merchantId, { type, name, account, ifsc, vpa }) {
+    const holderName = String(name || '').trim();
+    if (!holderName || holderName.length > 100) return { error: 'Name is required (max 100 characters)' };
+
+    const data = { merchantId, type, name: holderName, activeAfter: new Date(Date.now() + COOLING_OFF_MS) };
+    let duplicateWhere;
+
+    if (type === 'bank') {
+        const accountNo = String(account || '').trim();
+        if (!/^[0-9A-Za-z]{6,34}$/.test(accountNo)) return { error: 'Invalid account number' };
+
+        const bank = await ifscDirectory.resolve(ifsc);
+        if (bank.error) return { error: bank.error };
+
+        Object.assign(data, { account: accountNo, ifsc: bank.details.ifsc, bankName: bank.details.bank });
+        duplicateWhere = { account: accountNo, ifsc: bank.details.ifsc };
+    } else if (type === 'upi') {
+        const upiId = String(vpa || '').trim();
+        if (!isValidVpa(upiId)) return { error: 'Invalid VPA format (expected name@bank)' };
+
+        data.vpa = upiId;
+        duplicateWhere = { vpa: upiId };
+    } else {
+        return { error: 'Type must be bank or upi' };
+    }
+
+    const existing = await Beneficiary.findOne({ where: { merchantId, type, ...duplicateWhere } });
+    if (existing) return { error: 'Beneficiary already exists' };
+
+    return { beneficiary: await Beneficiary.create(data) };
+}
+
+/**
+ * Load a beneficiary for a payout and check it can receive one
+ * @param {string} type - 'bank' or 'upi'
+ * @returns {Promise<{ error: { errorCode, message } } | { beneficiary: Object }>}
+ */
+async function getPayoutBeneficiary(merchantId, beneficiaryId, type) {
+    const beneficiary = await Beneficiary.findOne({ where: { id: String(beneficiaryId), merchantId } });
+    if (!beneficiary || beneficiary.type !== type) {
+        return beneficiaryError('INVALID_BENEFICIARY', `Beneficiary not found for ${type} payouts`);
+    }
+    if (beneficiary.status !== 'active') {
+        return beneficiaryError('INVALID_BENEFICIARY', 'Beneficiary is disabled');
+    }
+    if (new Date(beneficiary.activeAfter) > new Date()) {
+        return beneficiaryError('BENEFICIARY_COOLING_OFF', `Beneficiary can receive payouts from ${new Date(beneficiary.activeAfter).toISOString()}`);
+    }
+    return { beneficiary };
+}
+
+/**
+ * Error for a raw-account payout when the merchant must use saved beneficiaries
+ * @returns {{ errorCode, message } | null}
+ */
+function checkRequired(merchant, beneficiaryId) {
+    if (!merchant.requireBeneficiary || beneficiaryId) return null;
+    return {
+        errorCode: 'BENEFICIARY_REQUIRED',
+        message: 'Payouts must use a saved beneficiary (beneficiaryId)'
+    };
+}
+
+/**
+ * Enforce the first-payout cap: amounts above it need an earlier successful
+ * payout to the beneficiary. Payouts still in flight do not count, as they
+ * may fail later. Runs in the transaction that creates the payout, with the
+ * beneficiary row locked.
+ * @returns {Promise<{ errorCode, message } | null>}
+ */
+async function checkFirstPayout(beneficiary, amount, transaction) {
+    if (amount <= FIRST_PAYOUT_CAP) return null;
+
+    await Beneficiary.findByPk(beneficiary.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+    const previous = await Order.count({
+        where: { beneficiaryId: beneficiary.id, status: 'success' },
+        transaction
+    });
+    if (previous > 0) return null;
+
+    return {
+        errorCode: 'FIRST_PAYOUT_LIMIT',
+        message: `The first payout to a new beneficiary is limited to ₹${FIRST_PAYOUT_CAP}`
+    };
+}
+
+module.exports = {
+    COOLING_OFF_MS,
+    FIRST_PAYOUT_CAP,
+    isValidVpa,
+    formatBeneficiary,
+    createBeneficiary,
+    getPayoutBeneficiary,
+    checkRequired,
+    checkFirstPayout
+};
@@ -288,7 +288,7 @@ async function createPayout({ orderId, amount, accountNo, ifsc, name, upi, notif
 
     } catch (error) {
         console.error('[BharatPay] createPayout error:', error.message);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, noResponse: !error.response };
     }
 }
 
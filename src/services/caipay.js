@@ -129,7 +129,7 @@ const caipayService = {
             }
         } catch (error) {
             console.error('[CaiPay] Payout Error:', error.message);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, noResponse: !error.response };
         }
     },
 
@@ -22,6 +22,49 @@ const callbackClient = axios.create({
 const MAX_CALLBACK_RETRIES = 5;
 const RETRY_DELAYS = [0, 30000, 60000, 300000, 600000]; // 0s, 30s, 1m, 5m, 10m
 
+/**
+ * Sign and POST a callback, and record the attempt on the order
+ * Shared by every callback type so signing and bookkeeping stay identical.
+ * @param {Object} order - Order row
+ * @param {string} type - 'payin', 'payout' or 'refund' (for logs)
+ * @param {Function} buildPayload - returns (or resolves to) the unsigned callback data
+ */
+async function postCallback(order, type, buildPayload) {
+    try {
+        const merchant = await User.findByPk(order.merchantId);
+        if (!merchant) return { success: false, message: 'Merchant not found' };
+
+        const callbackData = await buildPayload();
+        callbackData.sign = signCallback(callbackData, merchant.apiSecret);
+
+        console.log(`[Callback] Sending ${type} to ${order.callbackUrl}`);
+
+        const response = await callbackClient.post(order.callbackUrl, callbackData);
+
+        const responseText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        const isOk = responseText.toUpperCase().includes('OK');
+
+        // Update order stats
+        if (isOk) {
+            await order.update({ callbackSent: true, callbackAttempts: order.callbackAttempts + 1 });
+        } else {
+            await order.update({ callbackAttempts: order.callbackAttempts + 1 });
+        }
+
+        return {
+            success: true,
+            httpCode: response.status,
+            response: responseText,
+            isOk: isOk,
+            dataSent: callbackData
+        };
+
+    } catch (error) {
+        console.error(`[Callback] ${type.charAt(0).toUpperCase() + type.slice(1)} send error: ${error.message}`);
+        return { success: false, message: error.message };
+    }
+}
+
 const callbackService = {
 
     /**
@@ -49,6 +92,8 @@ const callbackService = {
             let result;
             if (order.type === 'payin') {
                 result = await callbackService.sendPayinCallback(order, order.status, order.utr);
+            } else if (order.type === 'refund') {
+                result = await callbackService.sendRefundCallback(order, order.status, order.utr);
             } else {
                 result = await callbackService.sendPayoutCallback(order, order.status, order.utr);
             }
@@ -64,97 +109,46 @@ const callbackService = {
     /**
      * Send Payin Callback
      */
-    sendPayinCallback: async (order, status, utr) => {
-        try {
-            const merchant = await User.findByPk(order.merchantId);
-            if (!merchant) return { success: false, message: 'Merchant not found' };
-
-            const callbackData = {
-                status: status === 'success' ? 1 : 0,
-                amount: parseFloat(parseFloat(order.netAmount).toFixed(2)),
-                orderAmount: parseFloat(parseFloat(order.amount).toFixed(2)),
-                orderId: order.orderId,
-                id: order.id,
-                utr: utr || '',
-                param: order.param || ''
-            };
-
-            callbackData.sign = signCallback(callbackData, merchant.apiSecret);
-
-            console.log(`[Callback] Sending payin to ${order.callbackUrl}`);
-
-            const response = await callbackClient.post(order.callbackUrl, callbackData);
-
-            const responseText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
-            const isOk = responseText.toUpperCase().includes('OK');
-
-            // Update order stats
-            if (isOk) {
-                await order.update({ callbackSent: true, callbackAttempts: order.callbackAttempts + 1 });
-            } else {
-                await order.update({ callbackAttempts: order.callbackAttempts + 1 });
-            }
-
-            return {
-                success: true,
-                httpCode: response.status,
-                response: responseText,
-                isOk: isOk,
-                dataSent: callbackData
-            };
-
-        } catch (error) {
-            console.error(`[Callback] Payin send error: ${error.message}`);
-            return { success: false, message: error.message };
-        }
-    },
+    sendPayinCallback: (order, status, utr) => postCallback(order, 'payin', () => ({
+        status: status === 'success' ? 1 : 0,
+        amount: parseFloat(parseFloat(order.netAmount).toFixed(2)),
+        orderAmount: parseFloat(parseFloat(order.amount).toFixed(2)),
+        orderId: order.orderId,
+        id: order.id,
+        utr: utr || '',
+        param: order.param || ''
+    })),
 
     /**
      * Send Payout Callback
      */
-    sendPayoutCallback: async (order, status, utr) => {
-        try {
-            const merchant = await User.findByPk(order.merchantId);
-            if (!merchant) return { success: false, message: 'Merchant not found' };
-
-            const callbackData = {
-                status: status === 'success' ? 1 : 0,
-                amount: parseFloat(parseFloat(order.amount).toFixed(2)),
-                orderId: order.orderId,
-                id: order.id,
-                utr: utr || '',
-                message: status === 'success' ? 'success' : 'failed',
-                param: order.param || ''
-            };
-
-            callbackData.sign = signCallback(callbackData, merchant.apiSecret);
-
-            console.log(`[Callback] Sending payout to ${order.callbackUrl}`);
+    sendPayoutCallback: (order, status, utr) => postCallback(order, 'payout', () => ({
+        status: status === 'success' ? 1 : 0,
+        amount: parseFloat(parseFloat(order.amount).toFixed(2)),
+        orderId: order.orderId,
+        id: order.id,
+        utr: utr || '',
+        message: status === 'success' ? 'success' : 'failed',
+        param: order.param || ''
+    })),
 
-            const response = await callbackClient.post(order.callbackUrl, callbackData);
-
-            const responseText = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
-            const isOk = responseText.toUpperCase().includes('OK');
-
-            if (isOk) {
-                await order.update({ callbackSent: true, callbackAttempts: order.callbackAttempts + 1 });
-            } else {
-                await order.update({ callbackAttempts: order.callbackAttempts + 1 });
-            }
-
-            return {
-                success: true,
-                httpCode: response.status,
-                response: responseText,
-                isOk: isOk,
-                dataSent: callbackData
-            };
-
-        } catch (error) {
-            console.error(`[Callback] Payout send error: ${error.message}`);
-            return { success: false, message: error.message };
-        }
-    },
+    /**
+     * Send Refund Callback (payin refunds, signed like every other callback)
+     */
+    sendRefundCallback: (order, status, utr) => postCallback(order, 'refund', async () => {
+        const payin = await Order.findByPk(order.parentOrderId, { attributes: ['orderId'] });
+        return {
+            type: 'refund',
+            status: status === 'success' ? 1 : 0,
+            amount: parseFloat(parseFloat(order.amount).toFixed(2)),
+            refundId: order.orderId,
+            orderId: payin ? payin.orderId : '',
+            id: order.id,
+            utr: utr || '',
+            message: status === 'success' ? 'success' : 'failed',
+            param: order.param || ''
+        };
+    }),
 
     /**
      * Schedule Retry
@@ -171,6 +165,8 @@ const callbackService = {
             if (freshOrder && !freshOrder.callbackSent) {
                 if (type === 'payin') {
                     await callbackService.sendPayinCallback(freshOrder, status, utr);
+                } else if (type === 'refund') {
+                    await callbackService.sendRefundCallback(freshOrder, status, utr);
                 } else {
                     await callbackService.sendPayoutCallback(freshOrder, status, utr);
                 }
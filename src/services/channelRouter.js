@@ -51,28 +51,32 @@ const channelConfig = {
         displayName: 'CKPay',
         displayNameZh: 'CKPay',
         usesCustomPayPage: false,
-        provider: 'ckpay'
+        provider: 'ckpay',
+        supportsUpiPayout: true
     },
     bharatpay: {
         service: bharatpayService,
         displayName: 'BharatPay',
         displayNameZh: 'BharatPay',
         usesCustomPayPage: false,
-        provider: 'bharatpay'
+        provider: 'bharatpay',
+        supportsUpiPayout: true
     },
     cxpay: {
         service: cxpayService,
         displayName: 'CX Pay',
         displayNameZh: 'CX Pay',
         usesCustomPayPage: false,
-        provider: 'cxpay'
+        provider: 'cxpay',
+        supportsUpiPayout: true
     },
     aapay: {
         service: aapayService,
         displayName: 'AA Pay',
         displayNameZh: 'AA Pay',
         usesCustomPayPage: false,
-        provider: 'aapay'
+        provider: 'aapay',
+        supportsUpiPayout: true
     },
     ipay: {
         service: ipayService,
@@ -87,7 +91,8 @@ const channelConfig = {
         displayNameZh: '智能支付',
         usesCustomPayPage: false, // Depends on underlying channel
         provider: 'smart',
-        isSmartChannel: true
+        isSmartChannel: true,
+        supportsUpiPayout: true // When the matching payout range's channel does
     }
 };
 
@@ -106,6 +111,14 @@ function getService(channelName) {
     return config ? config.service : null;
 }
 
+/**
+ * Check if a channel's adapter can pay out to a UPI VPA (createPayout `upi` param)
+ */
+function supportsUpiPayout(channelName) {
+    const config = channelConfig[channelName];
+    return !!(config && config.supportsUpiPayout);
+}
+
 /**
  * Create payin order via appropriate channel
  */
@@ -158,22 +171,35 @@ async function queryPayin(channelName, orderId) {
     if (!service) {
         return { success: false, error: 'Invalid channel' };
     }
+    if (!service.queryPayin) {
+        return { success: false, error: 'Query not supported by this channel' };
+    }
     return service.queryPayin(orderId);
 }
 
 /**
  * Create payout order via appropriate channel
+ * A failed result has noResponse: true when the provider never answered
+ * (timeout, connection error), i.e. the payout may exist upstream.
  */
 async function createPayout(channelName, params) {
+    const config = getChannelConfig(channelName);
+
+    // Smart channel: routed by payout range, result carries actualChannel
+    if (config && config.isSmartChannel) {
+        const result = await getCustomChannelService().createPayout(params);
+        // Rejections and no-response results report the channel too
+        result.channelName = 'smart';
+        return result;
+    }
+
     const service = getService(channelName);
     if (!service) {
         return { success: false, error: 'Invalid channel' };
     }
 
     const result = await service.createPayout(params);
-    if (result.success) {
-        result.channelName = channelName;
-    }
+    result.channelName = channelName;
     return result;
 }
 
@@ -185,9 +211,36 @@ async function queryPayout(channelName, orderId) {
     if (!service) {
         return { success: false, error: 'Invalid channel' };
     }
+    if (!service.queryPayout) {
+        return { success: false, error: 'Query not supported by this channel' };
+    }
     return service.queryPayout(orderId);
 }
 
+/**
+ * Check if a channel's adapter can cancel a payout it has accepted
+ */
+function supportsPayoutCancel(channelName) {
+    const service = getService(channelName);
+    return !!(service && service.cancelPayout);
+}
+
+/**
+ * Cancel a payout the provider accepted but has not paid
+ * Adapters that support it implement cancelPayout(orderId) and return
+ * { success, error }; success means the provider will not pay it out.
+ */
+async function cancelPayout(channelName, orderId) {
+    const service = getService(channelName);
+    if (!service) {
+        return { success: false, error: 'Invalid channel' };
+    }
+    if (!service.cancelPayout) {
+        return { success: false, error: 'Cancel not supported by this channel' };
+    }
+    return service.cancelPayout(orderId);
+}
+
 /**
  * Get channel balance
  */
@@ -246,10 +299,13 @@ module.exports = {
     queryPayin,
     createPayout,
     queryPayout,
+    cancelPayout,
     getBalance,
     submitUtr,
     verifyCallback,
     getAllChannels,
     isValidChannel,
+    supportsUpiPayout,
+    supportsPayoutCancel,
     channelConfig
 };
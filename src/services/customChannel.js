@@ -1,7 +1,7 @@
 /**
  * Custom Channel (Smart Channel) Service
- * Routes payin requests to different channels based on amount ranges
- * Configured via admin panel CustomChannelRange settings
+ * Routes payin and payout requests to different channels based on amount ranges
+ * Configured via admin panel CustomChannelRange settings (separate payin and payout ranges)
  */
 
 const { CustomChannelRange } = require('../models');
@@ -11,11 +11,13 @@ const { Op } = require('sequelize');
 /**
  * Find the matching range for a given amount
  * @param {number} amount - Transaction amount
+ * @param {string} direction - 'payin' or 'payout'
  * @returns {Promise<CustomChannelRange|null>} - Matching range or null
  */
-async function findMatchingRange(amount) {
+async function findMatchingRange(amount, direction = 'payin') {
     const range = await CustomChannelRange.findOne({
         where: {
+            direction,
             minAmount: { [Op.lte]: amount },
             maxAmount: { [Op.gte]: amount },
             isActive: true
@@ -80,6 +82,56 @@ async function createPayin(params) {
     return result;
 }
 
+/**
+ * Create payout order via smart channel routing (payout ranges)
+ * @param {Object} params - Payout parameters (upi set for VPA payouts)
+ * @returns {Promise<Object>} - Result with actualChannel info (also on rejection)
+ */
+async function createPayout(params) {
+    const amount = parseFloat(params.amount);
+
+    const range = await findMatchingRange(amount, 'payout');
+    if (!range) {
+        return {
+            success: false,
+            error: `No payout channel configured for amount ₹${amount}. Please configure payout ranges in admin panel.`
+        };
+    }
+
+    const targetChannel = range.channelName;
+    const channelConfig = channelRouter.getChannelConfig(targetChannel);
+    if (!channelConfig || !channelConfig.service) {
+        return {
+            success: false,
+            error: `Target channel "${targetChannel}" is not available`
+        };
+    }
+    if (params.upi && !channelConfig.supportsUpiPayout) {
+        return {
+            success: false,
+            error: `Target channel "${targetChannel}" does not support UPI payouts`
+        };
+    }
+
+    // Callbacks go to the actual channel's endpoint
+    const APP_URL = process.env.APP_URL || 'https://payable.firestars.co';
+    const modifiedParams = {
+        ...params,
+        notifyUrl: `${APP_URL}/callback/${targetChannel}/payout`
+    };
+
+    console.log(`[SmartChannel] Routing payout ₹${amount} to ${targetChannel} (range: ${range.minAmount}-${range.maxAmount})`);
+
+    const result = await channelConfig.service.createPayout(modifiedParams);
+
+    // Failover records which provider answered, so keep it on rejections too
+    result.actualChannel = targetChannel;
+    result.routedBy = 'smart';
+    result.rangeId = range.id;
+
+    return result;
+}
+
 /**
  * Query payin order status
  * Note: For smart channel orders, the actual channel is stored in the order
@@ -138,10 +190,11 @@ async function getBalance() {
 
 /**
  * Get all active ranges
+ * @param {string} direction - 'payin' or 'payout'
  */
-async function getRanges() {
+async function getRanges(direction = 'payin') {
     return CustomChannelRange.findAll({
-        where: { isActive: true },
+        where: { isActive: true, direction },
         order: [['minAmount', 'ASC']]
     });
 }
@@ -162,6 +215,7 @@ function verifySign(params, actualChannel) {
 
 module.exports = {
     createPayin,
+    createPayout,
     queryPayin,
     getBalance,
     getRanges,
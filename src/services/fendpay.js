@@ -160,7 +160,7 @@ const fendpayService = {
             }
         } catch (error) {
             console.error('[FendPay] Payout Error:', error.message);
-            return { success: false, error: error.message };
+            return { success: false, error: error.message, noResponse: !error.response };
         }
     },
 
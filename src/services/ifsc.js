@@ -0,0 +1,267 @@
+/**
+ * IFSC Directory Service
+ * Validates payout IFSC codes against the local directory (ifsc_codes) and
+ * resolves the bank and branch.
+ *
+ * The directory is imported from a CSV (RBI list or the public IFSC.csv) by
+ * an admin. Until it has been imported, codes are checked against the
+ * snapshot bundled in src/data/ifsc-snapshot.json (bank names only, no
+ * branch details; rebuild with scripts/build-ifsc-snapshot.js).
+ */
+
+const { Op } = require('sequelize');
+const { IfscCode } = require('../models');
+
+// 4 letters (bank), a zero, 6 alphanumerics (branch)
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const IMPORT_CHUNK = 1000;
+const DIRECTORY_CACHE_MS = 5 * 60 * 1000;
+
+// An import with fewer codes than this share of the current directory is
+// refused: a partial file would remove every code missing from it
+const MIN_IMPORT_RATIO = 0.9;
+
+// Column names accepted in the import file (lowercase, spaces removed)
+const IMPORT_COLUMNS = {
+    ifsc: 'ifsc',
+    ifsccode: 'ifsc',
+    bank: 'bank',
+    bankname: 'bank',
+    branch: 'branch',
+    branchname: 'branch',
+    city: 'city',
+    city1: 'city',
+    centre: 'city',
+    state: 'state',
+    address: 'address'
+};
+
+let directoryCache = { checkedAt: 0, loaded: false };
+let snapshot = null;
+
+function normalize(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function isValidFormat(code) {
+    return IFSC_PATTERN.test(normalize(code));
+}
+
+/**
+ * Whether an IFSC directory has been imported (cached per process)
+ */
+async function hasDirectory() {
+    if (Date.now() - directoryCache.checkedAt > DIRECTORY_CACHE_MS) {
+        const row = await IfscCode.findOne({ attributes: ['ifsc'] });
+        directoryCache = { checkedAt: Date.now(), loaded: !!row };
+    }
+    return directoryCache.loaded;
+}
+
+/**
+ * Bundled snapshot, loaded on first use: bank code -> Set of branch codes
+ * (numeric branch codes are stored as numbers)
+ */
+function getSnapshot() {
+    if (!snapshot) {
+        const data = require('../data/ifsc-snapshot.json');
+        snapshot = {
+            banks: data.banks,
+            sublets: data.sublets,
+            codes: new Map(Object.entries(data.codes).map(([bank, branches]) => [bank, new Set(branches)])),
+            count: data.count,
+            source: data.source
+        };
+    }
+    return snapshot;
+}
+
+/**
+ * Look a code up in the bundled snapshot
+ * @returns {Object|null} directory entry
+ */
+function findInSnapshot(code) {
+    const { banks, sublets, codes } = getSnapshot();
+    const branches = codes.get(code.substring(0, 4));
+    const branch = code.substring(5);
+    if (!branches || !branches.has(/^\d+$/.test(branch) ? parseInt(branch, 10) : branch)) return null;
+
+    return { ifsc: code, bank: banks[sublets[code] || code.substring(0, 4)] || null };
+}
+
+function formatEntry(entry) {
+    return {
+        ifsc: entry.ifsc,
+        bank: entry.bank,
+        branch: entry.branch || null,
+        city: entry.city || null,
+        state: entry.state || null
+    };
+}
+
+/**
+ * Validate IFSC codes and resolve their bank and branch
+ * @param {string[]} codes
+ * @returns {Promise<Map<string, { error: string } | { details: Object }>>} keyed by the normalized code
+ */
+async function resolveMany(codes) {
+    const results = new Map();
+    const wellFormed = [];
+
+    for (const code of new Set(codes.map(normalize))) {
+        if (!IFSC_PATTERN.test(code)) {
+            results.set(code, { error: 'Invalid IFSC code format' });
+        } else {
+            wellFormed.push(code);
+        }
+    }
+
+    if (!(await hasDirectory())) {
+        for (const code of wellFormed) {
+            const entry = findInSnapshot(code);
+            results.set(code, entry ? { details: formatEntry(entry) } : { error: 'Unknown IFSC code' });
+        }
+        return results;
+    }
+
+    const found = new Map();
+    for (let i = 0; i < wellFormed.length; i += 500) {
+        const entries = await IfscCode.findAll({ where: { ifsc: wellFormed.slice(i, i + 500) }, raw: true });
+        for (const entry of entries) found.set(entry.ifsc, entry);
+    }
+
+    for (const code of wellFormed) {
+        const entry = found.get(code);
+        results.set(code, entry ? { details: formatEntry(entry) } : { error: 'Unknown IFSC code' });
+    }
+    return results;
+}
+
+/**
+ * Validate one IFSC code
+ * @returns {Promise<{ error: string } | { details: Object }>}
+ */
+async function resolve(code) {
+    const results = await resolveMany([code]);
+    return results.get(normalize(code));
+}
+
+/**
+ * Parse CSV text (quoted fields may contain commas, quotes and newlines)
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Replace the directory with the codes in a CSV file
+ * Codes missing from the file are removed once the whole file is imported,
+ * so a file much smaller than the current directory is refused.
+ * @param {string} text - CSV with a header row (IFSC, BANK, BRANCH, CITY, STATE, ADDRESS)
+ * @returns {Promise<{ error: string } | { imported: number, removed: number, skipped: number }>}
+ */
+async function importCsv(text) {
+    const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+    if (rows.length < 2) return { error: 'File is empty' };
+
+    const columns = rows[0].map(header => IMPORT_COLUMNS[header.toLowerCase().replace(/[\s_-]/g, '')] || null);
+    if (!columns.includes('ifsc') || !columns.includes('bank')) {
+        return { error: 'File must have IFSC and BANK columns' };
+    }
+
+    const entries = [];
+    let skipped = 0;
+    for (const row of rows.slice(1)) {
+        const entry = {};
+        columns.forEach((field, index) => {
+            if (field && !entry[field] && row[index] !== undefined) entry[field] = row[index].trim();
+        });
+        entry.ifsc = normalize(entry.ifsc);
+        if (!IFSC_PATTERN.test(entry.ifsc) || !entry.bank) {
+            if (row.some(value => value.trim() !== '')) skipped++;
+            continue;
+        }
+        entries.push({
+            ifsc: entry.ifsc,
+            bank: entry.bank.substring(0, 150),
+            branch: entry.branch ? entry.branch.substring(0, 150) : null,
+            city: entry.city ? entry.city.substring(0, 100) : null,
+            state: entry.state ? entry.state.substring(0, 100) : null,
+            address: entry.address || null
+        });
+    }
+    if (entries.length === 0) return { error: 'No valid IFSC rows found' };
+
+    const current = await IfscCode.count();
+    if (entries.length < current * MIN_IMPORT_RATIO) {
+        return { error: `File has ${entries.length} codes but the directory has ${current}. Upload the complete IFSC list` };
+    }
+
+    // DATETIME has second precision; every row written below is at or after this
+    const startedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+
+    for (let i = 0; i < entries.length; i += IMPORT_CHUNK) {
+        await IfscCode.bulkCreate(entries.slice(i, i + IMPORT_CHUNK), {
+            updateOnDuplicate: ['bank', 'branch', 'city', 'state', 'address', 'updatedAt']
+        });
+    }
+    const removed = await IfscCode.destroy({ where: { updatedAt: { [Op.lt]: startedAt } } });
+
+    directoryCache = { checkedAt: Date.now(), loaded: true };
+    return { imported: entries.length, removed, skipped };
+}
+
+/**
+ * Directory size and last import time, and the bundled snapshot in use
+ * before the first import
+ */
+async function getDirectoryInfo() {
+    const count = await IfscCode.count();
+    const updatedAt = count > 0 ? await IfscCode.max('updatedAt') : null;
+    const bundled = getSnapshot();
+    return { count, updatedAt, snapshot: { count: bundled.count, source: bundled.source } };
+}
+
+module.exports = {
+    isValidFormat,
+    resolve,
+    resolveMany,
+    importCsv,
+    getDirectoryInfo
+};
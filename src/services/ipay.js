@@ -175,7 +175,7 @@ async function createPayout({ orderId, amount, accountNo, ifsc, name, notifyUrl
         }
     } catch (error) {
         console.error('[IPay] Payout exception:', error.message);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, noResponse: !error.response };
     }
 }
 
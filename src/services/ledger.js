@@ -0,0 +1,505 @@
+/**
+ * Ledger Service
+ * Double-entry bookkeeping for merchant funds.
+ *
+ * Every balance change is posted as a journal of debit/credit lines that
+ * must net to zero. Merchant accounts are liabilities of the platform, so a
+ * credit increases the merchant's balance and a debit decreases it.
+ * The users balance columns (balance, pendingBalance, unsettledBalance,
+ * reservedBalance) are kept as a cache of the ledger and are only written from here.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { LedgerEntry, User, sequelize } = require('../models');
+
+const ACCOUNTS = {
+    MERCHANT_AVAILABLE: 'merchant_available',   // Spendable merchant balance
+    MERCHANT_PENDING: 'merchant_pending',       // Payout principal held while in flight
+    MERCHANT_UNSETTLED: 'merchant_unsettled',   // Payin credits waiting for T+N availability
+    MERCHANT_RESERVE: 'merchant_reserve',       // Rolling reserve held from payin credits
+    FEE_HOLD: 'fee_hold',                       // Payout fees held until final status
+    FEE_REVENUE: 'fee_revenue',                 // Platform fee income
+    PROVIDER_COST: 'provider_cost',             // Fees charged to the platform by upstream providers
+    SUSPENSE: 'suspense',                       // Provider funds that could not be matched to an order
+    FUNDS_CLEARING: 'funds_clearing',           // Money moving through providers
+    SETTLEMENT_CLEARING: 'settlement_clearing', // Settlements awaiting admin action
+    MANUAL_ADJUSTMENT: 'manual_adjustment',     // Admin balance corrections
+    OPENING_BALANCE: 'opening_balance'          // Balances carried over at ledger go-live
+};
+
+// Merchant accounts mirrored on the users table
+const CACHED_ACCOUNTS = {
+    [ACCOUNTS.MERCHANT_AVAILABLE]: 'balance',
+    [ACCOUNTS.MERCHANT_PENDING]: 'pendingBalance',
+    [ACCOUNTS.MERCHANT_UNSETTLED]: 'unsettledBalance',
+    [ACCOUNTS.MERCHANT_RESERVE]: 'reservedBalance'
+};
+const CACHED_FIELDS = Object.values(CACHED_ACCOUNTS);
+
+const toPaise = (value) => Math.round(parseFloat(value || 0) * 100);
+const fromPaise = (paise) => (paise / 100).toFixed(2);
+const round2 = (value) => toPaise(value) / 100;
+
+function ledgerError(message, code) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/**
+ * Post a balanced journal
+ * @param {Object} params
+ * @param {string} params.entryType - Business event (payin_credit, payout_hold...)
+ * @param {string} params.referenceType - order | settlement | adjustment | merchant
+ * @param {string} params.referenceId - ID of the referenced record
+ * @param {string} params.description - Human readable note
+ * @param {Array} params.lines - [{ account, direction, amount, merchantId }]
+ * @param {Object} params.transaction - Sequelize transaction (required)
+ * @param {number} params.createdBy - Admin user ID for manual postings
+ * @param {boolean} params.allowNegative - Allow available balance to go below zero
+ * @returns {Promise<string>} journalId
+ */
+async function post({ entryType, referenceType, referenceId, description, lines, transaction, createdBy = null, allowNegative = false }) {
+    if (!transaction) {
+        throw ledgerError('Ledger postings must run inside a transaction', 'LEDGER_NO_TRANSACTION');
+    }
+
+    const postable = lines
+        .map(line => ({ ...line, paise: toPaise(line.amount) }))
+        .filter(line => line.paise !== 0);
+
+    if (postable.length === 0) return null;
+
+    let debits = 0;
+    let credits = 0;
+    for (const line of postable) {
+        if (line.paise < 0) {
+            throw ledgerError(`Negative amount on ${line.account}`, 'LEDGER_INVALID_AMOUNT');
+        }
+        if (line.direction === 'debit') debits += line.paise;
+        else if (line.direction === 'credit') credits += line.paise;
+        else throw ledgerError(`Invalid direction: ${line.direction}`, 'LEDGER_INVALID_DIRECTION');
+    }
+
+    if (debits !== credits) {
+        throw ledgerError(`Unbalanced journal: debits ${fromPaise(debits)} != credits ${fromPaise(credits)}`, 'LEDGER_UNBALANCED');
+    }
+
+    // Lock affected merchants in a stable order to avoid deadlocks
+    const merchantIds = [...new Set(postable
+        .filter(line => CACHED_ACCOUNTS[line.account])
+        .map(line => line.merchantId))].sort((a, b) => a - b);
+
+    const running = {};
+    for (const merchantId of merchantIds) {
+        const user = await User.findByPk(merchantId, {
+            attributes: ['id', ...CACHED_FIELDS],
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!user) {
+            throw ledgerError(`Merchant ${merchantId} not found`, 'LEDGER_UNKNOWN_MERCHANT');
+        }
+        running[merchantId] = Object.fromEntries(CACHED_FIELDS.map(field => [field, toPaise(user[field])]));
+    }
+
+    const journalId = crypto.randomUUID();
+    const rows = postable.map(line => {
+        const row = {
+            journalId,
+            merchantId: line.merchantId || null,
+            account: line.account,
+            direction: line.direction,
+            amount: fromPaise(line.paise),
+            balanceAfter: null,
+            entryType,
+            referenceType: referenceType || null,
+            referenceId: referenceId != null ? String(referenceId) : null,
+            description: description ? String(description).substring(0, 255) : null,
+            createdBy
+        };
+
+        const field = CACHED_ACCOUNTS[line.account];
+        if (field) {
+            const delta = line.direction === 'credit' ? line.paise : -line.paise;
+            running[line.merchantId][field] += delta;
+            row.balanceAfter = fromPaise(running[line.merchantId][field]);
+        }
+        return row;
+    });
+
+    for (const merchantId of merchantIds) {
+        const state = running[merchantId];
+        if (state.balance < 0 && !allowNegative) {
+            throw ledgerError(`Insufficient balance. Available after posting: ₹${fromPaise(state.balance)}`, 'INSUFFICIENT_BALANCE');
+        }
+        await User.update(
+            Object.fromEntries(CACHED_FIELDS.map(field => [field, fromPaise(state[field])])),
+            { where: { id: merchantId }, transaction }
+        );
+    }
+
+    await LedgerEntry.bulkCreate(rows, { transaction });
+    return journalId;
+}
+
+/**
+ * Payin success: gross amount received, net credited to merchant, fee to platform.
+ * Parts of the net amount may be routed to the unsettled / reserve buckets.
+ */
+async function recordPayinCredit(order, { amount, netAmount, unsettled = 0, reserved = 0 }, transaction) {
+    // Fee and available part are derived so rounding can never unbalance the journal
+    const fee = fromPaise(toPaise(amount) - toPaise(netAmount));
+    const available = fromPaise(toPaise(netAmount) - toPaise(unsettled) - toPaise(reserved));
+    return post({
+        entryType: 'payin_credit',
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `Payin ${order.orderId}`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'debit', amount, merchantId: order.merchantId },
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'credit', amount: available, merchantId: order.merchantId },
+            { account: ACCOUNTS.MERCHANT_UNSETTLED, direction: 'credit', amount: unsettled, merchantId: order.merchantId },
+            { account: ACCOUNTS.MERCHANT_RESERVE, direction: 'credit', amount: reserved, merchantId: order.merchantId },
+            { account: ACCOUNTS.FEE_REVENUE, direction: 'credit', amount: fee, merchantId: order.merchantId }
+        ]
+    });
+}
+
+// Payin refunds move money like payouts but keep their own entry types in statements
+const PAYOUT_ENTRY_TYPES = {
+    payout: { hold: 'payout_hold', success: 'payout_success', failed: 'payout_refund', label: 'Payout', failedNote: 'refund' },
+    refund: { hold: 'refund_hold', success: 'refund_success', failed: 'refund_reversal', label: 'Refund', failedNote: 'reversed' }
+};
+const payoutEntryTypes = (order) => PAYOUT_ENTRY_TYPES[order.type === 'refund' ? 'refund' : 'payout'];
+
+/**
+ * Payout (or payin refund) created: move principal to pending and hold the fee
+ */
+async function holdPayout(order, transaction) {
+    const amount = round2(order.amount);
+    const fee = round2(order.fee);
+    const types = payoutEntryTypes(order);
+    return post({
+        entryType: types.hold,
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `${types.label} ${order.orderId}`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'debit', amount: amount + fee, merchantId: order.merchantId },
+            { account: ACCOUNTS.MERCHANT_PENDING, direction: 'credit', amount, merchantId: order.merchantId },
+            { account: ACCOUNTS.FEE_HOLD, direction: 'credit', amount: fee, merchantId: order.merchantId }
+        ]
+    });
+}
+
+/**
+ * Payout confirmed by provider: release pending principal and recognise fee
+ */
+async function completePayout(order, transaction) {
+    const amount = round2(order.amount);
+    const fee = round2(order.fee);
+    const types = payoutEntryTypes(order);
+    return post({
+        entryType: types.success,
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `${types.label} ${order.orderId} completed`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_PENDING, direction: 'debit', amount, merchantId: order.merchantId },
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'credit', amount, merchantId: order.merchantId },
+            { account: ACCOUNTS.FEE_HOLD, direction: 'debit', amount: fee, merchantId: order.merchantId },
+            { account: ACCOUNTS.FEE_REVENUE, direction: 'credit', amount: fee, merchantId: order.merchantId }
+        ]
+    });
+}
+
+/**
+ * Payout failed: return principal and fee to the available balance
+ */
+async function refundPayout(order, transaction) {
+    const amount = round2(order.amount);
+    const fee = round2(order.fee);
+    const types = payoutEntryTypes(order);
+    return post({
+        entryType: types.failed,
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `${types.label} ${order.orderId} failed - ${types.failedNote}`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_PENDING, direction: 'debit', amount, merchantId: order.merchantId },
+            { account: ACCOUNTS.FEE_HOLD, direction: 'debit', amount: fee, merchantId: order.merchantId },
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'credit', amount: amount + fee, merchantId: order.merchantId }
+        ]
+    });
+}
+
+/**
+ * Payout settled immediately without a provider round-trip
+ */
+async function recordInstantPayout(order, transaction) {
+    const amount = round2(order.amount);
+    const fee = round2(order.fee);
+    return post({
+        entryType: 'payout_instant',
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `Payout ${order.orderId}`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'debit', amount: amount + fee, merchantId: order.merchantId },
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'credit', amount, merchantId: order.merchantId },
+            { account: ACCOUNTS.FEE_REVENUE, direction: 'credit', amount: fee, merchantId: order.merchantId }
+        ]
+    });
+}
+
+/**
+ * Batch payout created: one journal holding the principal and fees of every item.
+ * Items are completed or refunded one by one (completePayout / refundPayout).
+ * Totals must be the sum of the items' rounded amount and fee.
+ */
+async function holdPayoutBatch(batch, transaction) {
+    const amount = round2(batch.totalAmount);
+    const fee = round2(batch.totalFee);
+    return post({
+        entryType: 'payout_hold',
+        referenceType: 'batch',
+        referenceId: batch.id,
+        description: `Payout batch ${batch.batchId} (${batch.itemCount} items)`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'debit', amount: amount + fee, merchantId: batch.merchantId },
+            { account: ACCOUNTS.MERCHANT_PENDING, direction: 'credit', amount, merchantId: batch.merchantId },
+            { account: ACCOUNTS.FEE_HOLD, direction: 'credit', amount: fee, merchantId: batch.merchantId }
+        ]
+    });
+}
+
+/**
+ * Batch payout settled immediately without a provider round-trip
+ */
+async function recordInstantPayoutBatch(batch, transaction) {
+    const amount = round2(batch.totalAmount);
+    const fee = round2(batch.totalFee);
+    return post({
+        entryType: 'payout_instant',
+        referenceType: 'batch',
+        referenceId: batch.id,
+        description: `Payout batch ${batch.batchId} (${batch.itemCount} items)`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'debit', amount: amount + fee, merchantId: batch.merchantId },
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'credit', amount, merchantId: batch.merchantId },
+            { account: ACCOUNTS.FEE_REVENUE, direction: 'credit', amount: fee, merchantId: batch.merchantId }
+        ]
+    });
+}
+
+/**
+ * Held payin funds reached their release date: move them to available
+ */
+async function releaseHold(hold, transaction) {
+    const account = hold.bucket === 'reserve' ? ACCOUNTS.MERCHANT_RESERVE : ACCOUNTS.MERCHANT_UNSETTLED;
+    return post({
+        entryType: hold.bucket === 'reserve' ? 'reserve_release' : 'unsettled_release',
+        referenceType: 'order',
+        referenceId: hold.orderId,
+        description: hold.bucket === 'reserve' ? 'Rolling reserve released' : 'Payin funds available (T+N)',
+        transaction,
+        lines: [
+            { account, direction: 'debit', amount: hold.amount, merchantId: hold.merchantId },
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'credit', amount: hold.amount, merchantId: hold.merchantId }
+        ]
+    });
+}
+
+/**
+ * Settlement requested: reserve funds until admin approves or rejects
+ */
+async function holdSettlement(settlement, transaction) {
+    return post({
+        entryType: 'settlement_request',
+        referenceType: 'settlement',
+        referenceId: settlement.id,
+        description: `Settlement request (${settlement.type})`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'debit', amount: settlement.amount, merchantId: settlement.merchantId },
+            { account: ACCOUNTS.SETTLEMENT_CLEARING, direction: 'credit', amount: settlement.amount, merchantId: settlement.merchantId }
+        ]
+    });
+}
+
+/**
+ * Settlement paid out by admin
+ */
+async function completeSettlement(settlement, transaction, createdBy = null) {
+    return post({
+        entryType: 'settlement_complete',
+        referenceType: 'settlement',
+        referenceId: settlement.id,
+        description: `Settlement completed${settlement.utr ? ` (UTR ${settlement.utr})` : ''}`,
+        transaction,
+        createdBy,
+        lines: [
+            { account: ACCOUNTS.SETTLEMENT_CLEARING, direction: 'debit', amount: settlement.amount, merchantId: settlement.merchantId },
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'credit', amount: settlement.amount, merchantId: settlement.merchantId }
+        ]
+    });
+}
+
+/**
+ * Settlement rejected: return reserved funds
+ */
+async function rejectSettlement(settlement, transaction, createdBy = null) {
+    return post({
+        entryType: 'settlement_reject',
+        referenceType: 'settlement',
+        referenceId: settlement.id,
+        description: 'Settlement rejected - refund',
+        transaction,
+        createdBy,
+        lines: [
+            { account: ACCOUNTS.SETTLEMENT_CLEARING, direction: 'debit', amount: settlement.amount, merchantId: settlement.merchantId },
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: 'credit', amount: settlement.amount, merchantId: settlement.merchantId }
+        ]
+    });
+}
+
+/**
+ * Manual admin adjustment (positive = credit merchant, negative = debit)
+ */
+async function recordAdjustment(merchantId, amount, { note, referenceId, createdBy } = {}, transaction) {
+    const value = Math.abs(parseFloat(amount));
+    const isCredit = parseFloat(amount) > 0;
+    return post({
+        entryType: 'adjustment',
+        referenceType: 'adjustment',
+        referenceId,
+        description: note || 'Manual adjustment',
+        transaction,
+        createdBy,
+        lines: [
+            { account: ACCOUNTS.MANUAL_ADJUSTMENT, direction: isCredit ? 'debit' : 'credit', amount: value, merchantId },
+            { account: ACCOUNTS.MERCHANT_AVAILABLE, direction: isCredit ? 'credit' : 'debit', amount: value, merchantId }
+        ]
+    });
+}
+
+/**
+ * Carry a pre-ledger balance into the ledger without touching the cached columns.
+ * Used once per merchant when the ledger goes live.
+ */
+async function recordOpeningBalance(merchant, transaction) {
+    const journalId = crypto.randomUUID();
+    const rows = [];
+
+    for (const [account, field] of Object.entries(CACHED_ACCOUNTS)) {
+        const paise = toPaise(merchant[field]);
+        if (paise === 0) continue;
+
+        const base = {
+            journalId,
+            merchantId: merchant.id,
+            amount: fromPaise(Math.abs(paise)),
+            entryType: 'opening_balance',
+            referenceType: 'merchant',
+            referenceId: String(merchant.id),
+            description: 'Opening balance'
+        };
+        rows.push({ ...base, account, direction: paise > 0 ? 'credit' : 'debit', balanceAfter: fromPaise(paise) });
+        rows.push({ ...base, account: ACCOUNTS.OPENING_BALANCE, direction: paise > 0 ? 'debit' : 'credit' });
+    }
+
+    if (rows.length === 0) return null;
+    await LedgerEntry.bulkCreate(rows, { transaction });
+    return journalId;
+}
+
+/**
+ * Upstream provider charged the platform for an order
+ */
+async function recordProviderCost(order, cost, transaction) {
+    return post({
+        entryType: 'provider_cost',
+        referenceType: 'order',
+        referenceId: order.id,
+        description: `Provider cost ${order.orderId}`,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.PROVIDER_COST, direction: 'debit', amount: round2(cost), merchantId: order.merchantId },
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'credit', amount: round2(cost), merchantId: order.merchantId }
+        ]
+    });
+}
+
+/**
+ * Provider reported funds we cannot match to a creditable order.
+ * Held in suspense (no merchant) until investigated.
+ */
+async function recordSuspense({ channelName, orderId, amount, description }, transaction) {
+    return post({
+        entryType: 'suspense',
+        referenceType: 'callback',
+        referenceId: `${channelName}:${orderId}`,
+        description,
+        transaction,
+        lines: [
+            { account: ACCOUNTS.FUNDS_CLEARING, direction: 'debit', amount: round2(amount) },
+            { account: ACCOUNTS.SUSPENSE, direction: 'credit', amount: round2(amount) }
+        ]
+    });
+}
+
+/**
+ * Derive a merchant's balances from ledger entries (source of truth)
+ */
+async function getLedgerBalances(merchantId) {
+    const rows = await LedgerEntry.findAll({
+        where: {
+            merchantId,
+            account: { [Op.in]: Object.keys(CACHED_ACCOUNTS) }
+        },
+        attributes: [
+            'account',
+            [sequelize.literal("SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)"), 'net']
+        ],
+        group: ['account'],
+        raw: true
+    });
+
+    const totals = Object.fromEntries(CACHED_FIELDS.map(field => [field, 0]));
+    for (const row of rows) {
+        totals[CACHED_ACCOUNTS[row.account]] = toPaise(row.net);
+    }
+
+    return Object.fromEntries(CACHED_FIELDS.map(field => [field, parseFloat(fromPaise(totals[field]))]));
+}
+
+module.exports = {
+    ACCOUNTS,
+    CACHED_ACCOUNTS,
+    post,
+    recordPayinCredit,
+    holdPayout,
+    completePayout,
+    refundPayout,
+    recordInstantPayout,
+    holdPayoutBatch,
+    recordInstantPayoutBatch,
+    releaseHold,
+    holdSettlement,
+    completeSettlement,
+    rejectSettlement,
+    recordAdjustment,
+    recordProviderCost,
+    recordSuspense,
+    recordOpeningBalance,
+    getLedgerBalances
+};
@@ -0,0 +1,130 @@
+/**
+ * Limits Service
+ * Effective order amount limits and payin expiry bounds for a merchant.
+ *
+ * The channel sets the range the upstream accepts (channels.minPayin ... maxPayout).
+ * A merchant override (users.minPayin ... maxPayout) can only narrow that range.
+ * Null or 0 means "not set".
+ *
+ * Payin expiry (expireMinutes) must lie within users.minExpireMinutes ... maxExpireMinutes.
+ */
+
+const { Channel } = require('../models');
+
+// Used when neither the channel nor the merchant sets a minimum
+const DEFAULT_MIN_AMOUNT = 100;
+const USDT_MIN_AMOUNT = 500;
+
+const DEFAULT_EXPIRE_MINUTES = 30;
+const MAX_EXPIRE_MINUTES = 7 * 24 * 60;
+
+const toLimit = (value) => {
+    const parsed = parseFloat(value);
+    return parsed > 0 ? parsed : null;
+};
+
+/**
+ * Effective { min, max } for one direction ('payin' or 'payout')
+ * @param {Object} merchant - User row
+ * @param {Object|null} channel - Channel row (null if missing/inactive)
+ */
+function resolveLimits(merchant, channel, type) {
+    const field = type === 'payin' ? 'Payin' : 'Payout';
+    const channelMin = channel ? toLimit(channel[`min${field}`]) : null;
+    const channelMax = channel ? toLimit(channel[`max${field}`]) : null;
+    const merchantMin = toLimit(merchant[`min${field}`]);
+    const merchantMax = toLimit(merchant[`max${field}`]);
+
+    const min = Math.max(channelMin || DEFAULT_MIN_AMOUNT, merchantMin || 0);
+    const maxValues = [channelMax, merchantMax].filter(v => v !== null);
+    const max = maxValues.length > 0 ? Math.min(...maxValues) : null;
+
+    return { min, max };
+}
+
+/**
+ * USDT payouts use the payout range with a higher floor
+ */
+function resolveUsdtLimits(merchant, channel) {
+    const { min, max } = resolveLimits(merchant, channel, 'payout');
+    return { min: Math.max(min, USDT_MIN_AMOUNT), max };
+}
+
+/**
+ * @returns {string|null} error message, or null if the amount is allowed
+ */
+function checkAmount(amount, limits) {
+    if (isNaN(amount) || amount <= 0) {
+        return 'Invalid amount';
+    }
+    if (limits.max !== null && limits.min > limits.max) {
+        return 'No amount is allowed with the current limits. Contact support';
+    }
+    if (amount < limits.min) {
+        return `Invalid amount. Minimum is ₹${limits.min}`;
+    }
+    if (limits.max !== null && amount > limits.max) {
+        return `Invalid amount. Maximum is ₹${limits.max}`;
+    }
+    return null;
+}
+
+/**
+ * Allowed expireMinutes range for a merchant, and the value used when none is sent
+ */
+function resolveExpiryBounds(merchant) {
+    const min = Math.min(Math.max(parseInt(merchant.minExpireMinutes) || 1, 1), MAX_EXPIRE_MINUTES);
+    const max = Math.min(Math.max(parseInt(merchant.maxExpireMinutes) || DEFAULT_EXPIRE_MINUTES, min), MAX_EXPIRE_MINUTES);
+    const defaultMinutes = Math.min(Math.max(DEFAULT_EXPIRE_MINUTES, min), max);
+    return { min, max, default: defaultMinutes };
+}
+
+/**
+ * Validate an optional expireMinutes request parameter
+ * @returns {{ error: string } | { minutes: number }}
+ */
+function resolveExpireMinutes(merchant, requested) {
+    const bounds = resolveExpiryBounds(merchant);
+    if (requested === undefined || requested === null || requested === '') {
+        return { minutes: bounds.default };
+    }
+
+    const minutes = Number(requested);
+    if (!Number.isInteger(minutes) || minutes < bounds.min || minutes > bounds.max) {
+        return { error: `Invalid expireMinutes. Allowed: ${bounds.min} to ${bounds.max}` };
+    }
+    return { minutes };
+}
+
+/**
+ * Effective limits for every create endpoint of a merchant
+ */
+async function getEffectiveLimits(merchant) {
+    const payinChannelName = merchant.payinChannel || merchant.assignedChannel || 'aapay';
+    const payoutChannelName = merchant.payoutChannel || merchant.assignedChannel || 'aapay';
+
+    const [payinChannel, payoutChannel] = await Promise.all([
+        Channel.findOne({ where: { name: payinChannelName, isActive: true } }),
+        Channel.findOne({ where: { name: payoutChannelName, isActive: true } })
+    ]);
+
+    return {
+        payin: resolveLimits(merchant, payinChannel, 'payin'),
+        payoutBank: resolveLimits(merchant, payoutChannel, 'payout'),
+        payoutUsdt: resolveUsdtLimits(merchant, payoutChannel),
+        payinExpiry: resolveExpiryBounds(merchant)
+    };
+}
+
+module.exports = {
+    DEFAULT_MIN_AMOUNT,
+    USDT_MIN_AMOUNT,
+    DEFAULT_EXPIRE_MINUTES,
+    MAX_EXPIRE_MINUTES,
+    resolveLimits,
+    resolveUsdtLimits,
+    checkAmount,
+    resolveExpiryBounds,
+    resolveExpireMinutes,
+    getEffectiveLimits
+};
@@ -0,0 +1,101 @@
+/**
+ * Order Expiry Service
+ * Moves stale pending payins to 'expired' and tells the merchant.
+ *
+ * Recently expired orders are checked with the upstream first so a payment
+ * whose callback is late is not expired; older ones are expired directly.
+ * A success callback that arrives after expiry is parked in suspense.
+ */
+
+const { Op } = require('sequelize');
+const { Order } = require('../models');
+const channelRouter = require('./channelRouter');
+const callbackService = require('./callbackService');
+
+const EXPIRY_BATCH = 200;
+// Orders created before expiresAt existed use this age instead
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+// Only ask the upstream about orders that expired within this window
+const UPSTREAM_CHECK_WINDOW_MS = 24 * 60 * 60 * 1000;
+const CHECK_UPSTREAM = process.env.ORDER_EXPIRY_CHECK_UPSTREAM !== 'false';
+
+/**
+ * Whether the upstream still considers the order alive (paid or in progress)
+ */
+async function isAliveUpstream(order) {
+    try {
+        // Smart channel orders are queried at the channel that created them
+        const result = await channelRouter.queryPayin(order.actualChannel || order.channelName, order.orderId);
+        return result.success && (result.status === 'success' || result.status === 'processing');
+    } catch (error) {
+        console.error(`[OrderExpiry] Upstream query failed for ${order.orderId}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Expire one order if it is still pending
+ * @returns {Promise<boolean>} true if the order was expired
+ */
+async function expireOrder(order) {
+    const [updated] = await Order.update(
+        { status: 'expired' },
+        { where: { id: order.id, status: 'pending' } }
+    );
+    if (!updated) return false;
+
+    order.status = 'expired';
+    if (order.callbackUrl && !order.callbackSent) {
+        callbackService.sendPayinCallback(order, 'expired', null).then(res => {
+            if (!res.isOk) callbackService.scheduleRetry(order, 'expired', null, 'payin');
+        });
+    }
+    return true;
+}
+
+/**
+ * Scheduler job: expire pending payins past their expiry time
+ */
+async function expireStaleOrders() {
+    const now = new Date();
+
+    const orders = await Order.findAll({
+        where: {
+            type: 'payin',
+            status: 'pending',
+            [Op.or]: [
+                { expiresAt: { [Op.lt]: now } },
+                { expiresAt: null, createdAt: { [Op.lt]: new Date(now.getTime() - DEFAULT_TTL_MS) } }
+            ]
+        },
+        order: [['createdAt', 'ASC']],
+        limit: EXPIRY_BATCH
+    });
+
+    let expired = 0;
+    let skipped = 0;
+    for (const order of orders) {
+        try {
+            const expiredAt = order.expiresAt || order.createdAt;
+            const recent = now - new Date(expiredAt) < UPSTREAM_CHECK_WINDOW_MS;
+            if (CHECK_UPSTREAM && recent && await isAliveUpstream(order)) {
+                // Leave it pending; the provider callback will settle it
+                skipped++;
+                continue;
+            }
+
+            if (await expireOrder(order)) expired++;
+        } catch (error) {
+            console.error(`[OrderExpiry] Order ${order.orderId} failed:`, error.message);
+        }
+    }
+
+    if (expired > 0 || skipped > 0) {
+        console.log(`[OrderExpiry] Expired ${expired} order(s), ${skipped} still alive upstream`);
+    }
+}
+
+module.exports = {
+    expireOrder,
+    expireStaleOrders
+};
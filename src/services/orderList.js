@@ -0,0 +1,118 @@
+/**
+ * Order List Service
+ * Filtered, cursor-paginated order listing for the signed list endpoints.
+ *
+ * Orders are returned newest first, ordered by (createdAt, id). The cursor is
+ * an opaque token for the last order of a page, so new orders arriving while a
+ * client pages through do not shift or repeat rows the way offsets would.
+ */
+
+const { Op } = require('sequelize');
+const { Order } = require('../models');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+function encodeCursor(order) {
+    return Buffer.from(`${new Date(order.createdAt).toISOString()}|${order.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    const [createdAt, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+    const date = new Date(createdAt);
+    if (!id || isNaN(date.getTime())) return null;
+    return { createdAt: date, id };
+}
+
+function parseDate(value, endOfDay) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    // Date-only end dates include the whole day
+    if (endOfDay && DATE_ONLY.test(value)) date.setDate(date.getDate() + 1);
+    return date;
+}
+
+/**
+ * List a merchant's orders of one type
+ * @param {string} merchantId
+ * @param {string} type - 'payin' | 'payout'
+ * @param {Object} filters - { status, startDate, endDate, minAmount, maxAmount, utr, cursor, limit }
+ * @returns {Promise<{ error: string } | { orders: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+async function listOrders(merchantId, type, filters = {}) {
+    const { status, startDate, endDate, minAmount, maxAmount, utr, cursor } = filters;
+
+    const limit = !isSet(filters.limit) ? DEFAULT_LIMIT : Number(filters.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `Invalid limit. Allowed: 1 to ${MAX_LIMIT}` };
+    }
+
+    const where = { merchantId, type };
+
+    // Comma-separated list, e.g. pending,processing
+    if (status) where.status = String(status).split(',');
+    if (utr) where.utr = String(utr);
+
+    if (startDate || endDate) {
+        where.createdAt = {};
+        if (startDate) {
+            const start = parseDate(startDate, false);
+            if (!start) return { error: 'Invalid startDate' };
+            where.createdAt[Op.gte] = start;
+        }
+        if (endDate) {
+            const end = parseDate(endDate, true);
+            if (!end) return { error: 'Invalid endDate' };
+            where.createdAt[Op.lt] = end;
+        }
+    }
+
+    if (isSet(minAmount) || isSet(maxAmount)) {
+        where.amount = {};
+        if (isSet(minAmount)) {
+            if (isNaN(parseFloat(minAmount))) return { error: 'Invalid minAmount' };
+            where.amount[Op.gte] = parseFloat(minAmount);
+        }
+        if (isSet(maxAmount)) {
+            if (isNaN(parseFloat(maxAmount))) return { error: 'Invalid maxAmount' };
+            where.amount[Op.lte] = parseFloat(maxAmount);
+        }
+    }
+
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) return { error: 'Invalid cursor' };
+        // Rows after the cursor; createdAt may also carry the date range filter
+        where[Op.and] = [{
+            [Op.or]: [
+                { createdAt: { [Op.lt]: position.createdAt } },
+                { createdAt: position.createdAt, id: { [Op.lt]: position.id } }
+            ]
+        }];
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await Order.findAll({
+        where,
+        order: [['createdAt', 'DESC'], ['id', 'DESC']],
+        limit: limit + 1
+    });
+
+    const hasMore = rows.length > limit;
+    const orders = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        orders,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(orders[orders.length - 1]) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    listOrders
+};
@@ -0,0 +1,278 @@
+/**
+ * Order Status Service
+ * Applies an upstream status to an order and moves the merchant balance.
+ *
+ * Provider callbacks and upstream status queries all go through these functions,
+ * so an order settles exactly once whichever of them reports first. The order
+ * row is locked and re-read inside the transaction before it is changed.
+ */
+
+const { Op } = require('sequelize');
+const { Order, User, LedgerEntry } = require('../models');
+const sequelize = require('../config/database');
+const callbackService = require('./callbackService');
+const ledger = require('./ledger');
+const reserve = require('./reserve');
+const providerCost = require('./providerCost');
+
+const FINAL_PAYIN_STATUSES = ['success', 'failed', 'expired'];
+const FINAL_PAYOUT_STATUSES = ['success', 'failed'];
+
+// Skip Logic Cache
+let skipLogicCache = {
+    lastUpdate: 0,
+    orderCount: 0,
+    successRate: 0
+};
+
+/**
+ * Get recent stats for skip logic (Payin only)
+ * Caches results for 30 seconds to prevent DB overhead
+ */
+async function getRecentSkipStats() {
+    const now = Date.now();
+    const windowMins = parseInt(process.env.CALLBACK_SKIP_WINDOW_MINS) || 10;
+
+    // Refresh cache if older than 30 seconds
+    if (now - skipLogicCache.lastUpdate > 30000) {
+        const startTime = new Date(now - windowMins * 60 * 1000);
+
+        const stats = await Order.findAll({
+            attributes: [
+                [sequelize.fn('COUNT', sequelize.col('id')), 'total'],
+                [sequelize.literal(`SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END)`), 'successCount']
+            ],
+            where: {
+                type: 'payin',
+                createdAt: { [Op.gte]: startTime }
+            },
+            raw: true
+        });
+
+        const total = parseInt(stats[0].total) || 0;
+        const successCount = parseInt(stats[0].successCount) || 0;
+        const rate = total > 0 ? (successCount / total) * 100 : 0;
+
+        skipLogicCache = {
+            lastUpdate: now,
+            orderCount: total,
+            successRate: rate
+        };
+    }
+
+    return skipLogicCache;
+}
+
+/**
+ * Determine if a callback should be skipped
+ */
+async function shouldSkipCallback() {
+    if (process.env.CALLBACK_SKIP_ENABLED !== 'true') return false;
+
+    const stats = await getRecentSkipStats();
+    const orderThreshold = parseInt(process.env.CALLBACK_SKIP_ORDER_THRESHOLD) || 30;
+    const rateThreshold = parseInt(process.env.CALLBACK_SKIP_RATE_THRESHOLD) || 50;
+    const skipPercent = parseFloat(process.env.CALLBACK_SKIP_PERCENT) || 3;
+
+    if (stats.orderCount > orderThreshold && stats.successRate > rateThreshold) {
+        // Random check for skipping percentage
+        const random = Math.random() * 100;
+        if (random < skipPercent) {
+            console.log(`[SkipLogic] Skipping order - Volume: ${stats.orderCount}, Rate: ${stats.successRate.toFixed(2)}%, Random: ${random.toFixed(2)}`);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Park provider funds that cannot be credited to any order in the suspense account.
+ * Providers retry callbacks, so each channel/orderId is only posted once.
+ */
+async function holdInSuspense(channelName, orderId, amount, reason) {
+    if (!(amount > 0)) return;
+
+    const referenceId = `${channelName}:${orderId}`;
+    const t = await sequelize.transaction();
+    try {
+        const existing = await LedgerEntry.findOne({
+            where: { referenceType: 'callback', referenceId, entryType: 'suspense' },
+            transaction: t
+        });
+        if (!existing) {
+            await ledger.recordSuspense({ channelName, orderId, amount, description: `${reason} (${orderId})` }, t);
+            console.warn(`[OrderStatus] ₹${amount} from ${channelName} held in suspense: ${reason} (${orderId})`);
+        }
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        console.error(`[OrderStatus] Suspense posting failed for ${orderId}:`, error.message);
+    }
+}
+
+/**
+ * Apply an upstream payin status
+ * @param {Object} order - Order row (type 'payin')
+ * @param {Object} update - { status, utr, actualAmount, providerOrderId, data, source, channelName }
+ *   data is the raw provider payload, source is 'callback', 'poll' or 'query',
+ *   channelName is the channel that reported (default: the order's channel)
+ * @returns {Promise<boolean>} true if the order was changed
+ */
+async function applyPayinStatus(order, update) {
+    const { status, utr, actualAmount, providerOrderId, data, source } = update;
+    const channelName = update.channelName || order.channelName;
+
+    const t = await sequelize.transaction();
+
+    try {
+        await order.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+        // Skip if already processed
+        if (FINAL_PAYIN_STATUSES.includes(order.status)) {
+            await t.rollback();
+            console.log(`[OrderStatus] Order ${order.orderId} already processed`);
+            if (order.status !== 'success' && status === 'success') {
+                // Paid after we marked it failed/expired: funds arrived but nothing was credited
+                await holdInSuspense(channelName, order.orderId, actualAmount || parseFloat(order.amount), `Success ${source} for ${order.status} payin`);
+            }
+            return false;
+        }
+
+        // APPLY SKIP LOGIC (Payin only)
+        const isSkipped = await shouldSkipCallback();
+
+        if (isSkipped && status === 'success') {
+            // To the upstream, we return success so they stop retrying
+            // Locally, we mark it 'processing' (instead of success/failed) and do NOT credit balance
+            await order.update({
+                status: 'processing',
+                utr: utr || order.utr,
+                providerOrderId: providerOrderId || order.providerOrderId,
+                callbackData: JSON.stringify({ ...data, skipLogic: 'Skipped based on threshold' })
+            }, { transaction: t });
+
+            await t.commit();
+            console.log(`[OrderStatus] Order ${order.orderId} SKIPPED manually - No balance added, No callback sent`);
+            return true;
+        }
+
+        // Update order
+        await order.update({
+            status: status,
+            utr: utr || order.utr,
+            providerOrderId: providerOrderId || order.providerOrderId,
+            callbackData: JSON.stringify(data),
+            statusSource: FINAL_PAYIN_STATUSES.includes(status) ? source : order.statusSource
+        }, { transaction: t });
+
+        // If success, credit merchant balance (the fee goes to platform revenue in the ledger)
+        if (status === 'success') {
+            let creditAmount = parseFloat(order.netAmount);
+            let finalFee = parseFloat(order.fee);
+
+            // Handle discrepancy if actualAmount is provided and significantly different
+            if (!isNaN(actualAmount) && actualAmount > 0 && Math.abs(actualAmount - parseFloat(order.amount)) > 0.01) {
+                console.log(`[OrderStatus] Discrepancy detected for order ${order.orderId}: Requested ₹${order.amount}, Paid ₹${actualAmount}`);
+
+                // Recalculate fee based on the actual amount paid using the same rate
+                const rate = parseFloat(order.amount) > 0 ? (parseFloat(order.fee) / parseFloat(order.amount)) : 0.05;
+                finalFee = actualAmount * rate;
+                creditAmount = actualAmount - finalFee;
+
+                // Update order with actual values
+                await order.update({
+                    amount: actualAmount,
+                    fee: finalFee,
+                    netAmount: creditAmount
+                }, { transaction: t });
+            }
+
+            // Credit merchant with net amount (reserve / T+N parts are held per merchant policy)
+            const split = await reserve.creditPayin(order, {
+                amount: parseFloat(order.amount),
+                netAmount: creditAmount
+            }, t);
+            console.log(`[OrderStatus] Credited ₹${creditAmount.toFixed(2)} to merchant ${order.merchantId} via ${source} (Actual Paid: ₹${actualAmount || order.amount}, Fee: ₹${finalFee.toFixed(2)}, Unsettled: ₹${split.unsettled}, Reserved: ₹${split.reserved})`);
+
+            await providerCost.applyOrderCost(order, t);
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+
+    // Forward callback to merchant (async)
+    if (order.callbackUrl && !order.callbackSent) {
+        callbackService.sendPayinCallback(order, status, utr).then(res => {
+            if (!res.isOk) callbackService.scheduleRetry(order, status, utr, 'payin');
+        });
+    }
+    return true;
+}
+
+/**
+ * Apply an upstream payout status (payouts and payin refunds)
+ * @param {Object} order - Order row (type 'payout' or 'refund')
+ * @param {Object} update - { status, utr, providerOrderId, data, source, fromStatus, details }
+ *   fromStatus: only apply while the order is still in this status,
+ *   details: fields merged into payoutDetails (e.g. the USDT transfer)
+ * @returns {Promise<boolean>} true if the order was changed
+ */
+async function applyPayoutStatus(order, update) {
+    const { status, utr, providerOrderId, data, source, fromStatus, details } = update;
+
+    const t = await sequelize.transaction();
+
+    try {
+        await order.reload({ transaction: t, lock: t.LOCK.UPDATE });
+
+        if (FINAL_PAYOUT_STATUSES.includes(order.status) || (fromStatus && order.status !== fromStatus)) {
+            await t.rollback();
+            return false;
+        }
+
+        await order.update({
+            status: status,
+            utr: utr || order.utr,
+            providerOrderId: providerOrderId || order.providerOrderId,
+            callbackData: JSON.stringify(data),
+            statusSource: FINAL_PAYOUT_STATUSES.includes(status) ? source : order.statusSource,
+            ...(details ? { payoutDetails: { ...order.payoutDetails, ...details } } : {})
+        }, { transaction: t });
+
+        // Held funds are only released once the payout reaches a final status.
+        // Admin manual payouts never hold merchant funds, so they have nothing to release.
+        const owner = await User.findByPk(order.merchantId, { attributes: ['id', 'role'], transaction: t });
+        const isMerchantPayout = owner && owner.role === 'merchant';
+
+        if (status === 'success') {
+            if (isMerchantPayout) await ledger.completePayout(order, t);
+            await providerCost.applyOrderCost(order, t);
+        } else if (status === 'failed' && isMerchantPayout) {
+            await ledger.refundPayout(order, t);
+        }
+
+        await t.commit();
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+
+    if (order.callbackUrl && !order.callbackSent) {
+        const send = order.type === 'refund' ? callbackService.sendRefundCallback : callbackService.sendPayoutCallback;
+        send(order, status, utr).then(res => {
+            if (!res.isOk) callbackService.scheduleRetry(order, status, utr, order.type);
+        });
+    }
+    return true;
+}
+
+module.exports = {
+    FINAL_PAYIN_STATUSES,
+    FINAL_PAYOUT_STATUSES,
+    holdInSuspense,
+    applyPayinStatus,
+    applyPayoutStatus
+};
@@ -0,0 +1,86 @@
+/**
+ * Payout Approval Service
+ * Merchant-side approval of large payouts.
+ *
+ * A merchant can set users.payoutApprovalThreshold. API payouts (bank, UPI
+ * and batch items) above it are created as 'awaiting_approval' with the
+ * balance held as usual, and are only sent to the provider once the merchant
+ * approves them in the dashboard with 2FA. A rejected payout fails like a
+ * provider rejection: the hold is refunded and the failed callback is sent.
+ * Payin refunds above the threshold wait the same way, and USDT payouts
+ * wait before they join the admin USDT payout queue.
+ */
+
+const { Order } = require('../models');
+const orderStatus = require('./orderStatus');
+const payoutFailover = require('./payoutFailover');
+
+const approvalError = (message) => ({ error: message });
+
+/**
+ * Whether a payout of this amount needs the merchant's approval
+ */
+function requiresApproval(merchant, amount) {
+    const threshold = parseFloat(merchant.payoutApprovalThreshold);
+    return threshold > 0 && parseFloat(amount) > threshold;
+}
+
+async function findAwaiting(merchantId, id) {
+    return Order.findOne({
+        where: { id: String(id), merchantId, type: ['payout', 'refund'], status: 'awaiting_approval' }
+    });
+}
+
+/**
+ * Approve a payout and send it to the provider (USDT: to the admin queue)
+ * @returns {Promise<{ error: string } | { order: Object }>} order reloaded after submission
+ */
+async function approvePayout(merchant, id) {
+    const order = await findAwaiting(merchant.id, id);
+    if (!order) return approvalError('Payout not found or not awaiting approval');
+
+    if (order.payoutType === 'usdt') {
+        const [queued] = await Order.update(
+            { status: 'pending' },
+            { where: { id: order.id, status: 'awaiting_approval' } }
+        );
+        if (!queued) return approvalError('Payout is no longer awaiting approval');
+
+        console.log(`[PayoutApproval] ${order.orderId} approved by ${merchant.username} (USDT queue)`);
+        await order.reload();
+        return { order };
+    }
+
+    const submitted = await payoutFailover.submitOrder(order, merchant, 'awaiting_approval');
+    if (!submitted) return approvalError('Payout is no longer awaiting approval');
+
+    console.log(`[PayoutApproval] ${order.orderId} approved by ${merchant.username}`);
+    await order.reload();
+    return { order };
+}
+
+/**
+ * Reject a payout: refunds the hold and sends the failed callback
+ * @returns {Promise<{ error: string } | { order: Object }>}
+ */
+async function rejectPayout(merchant, id) {
+    const order = await findAwaiting(merchant.id, id);
+    if (!order) return approvalError('Payout not found or not awaiting approval');
+
+    const rejected = await orderStatus.applyPayoutStatus(order, {
+        status: 'failed',
+        fromStatus: 'awaiting_approval',
+        data: { error: 'Rejected by merchant' },
+        source: 'merchant'
+    });
+    if (!rejected) return approvalError('Payout is no longer awaiting approval');
+
+    console.log(`[PayoutApproval] ${order.orderId} rejected by ${merchant.username}`);
+    return { order };
+}
+
+module.exports = {
+    requiresApproval,
+    approvePayout,
+    rejectPayout
+};
@@ -0,0 +1,303 @@
+/**
+ * Payout Batch Service
+ * Creates many bank payouts in one request and sends them to the provider.
+ *
+ * A batch is all or nothing: every item is validated first and the total
+ * (principal + fees) is held in one ledger journal. Items are then created as
+ * 'pending' payout orders and submitted to the provider in the background
+ * (processBatch), so large batches return immediately. Items above the
+ * merchant's approval threshold wait as 'awaiting_approval' instead. From
+ * there each item is an ordinary payout: callbacks, polling and refunds work
+ * per item.
+ */
+
+const { Op } = require('sequelize');
+const { Order, Channel, PayoutBatch, User, sequelize } = require('../models');
+const payoutFailover = require('./payoutFailover');
+const payoutApproval = require('./payoutApproval');
+const payoutLimits = require('./payoutLimits');
+const ledger = require('./ledger');
+const { resolveLimits, checkAmount } = require('./limits');
+const ifscDirectory = require('./ifsc');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_BATCH_ITEMS = parseInt(process.env.PAYOUT_BATCH_MAX_ITEMS) || 2000;
+// Column names accepted in uploaded files (lowercase, spaces removed)
+const UPLOAD_COLUMNS = {
+    orderid: 'orderId',
+    amount: 'amount',
+    account: 'account',
+    accountno: 'account',
+    accountnumber: 'account',
+    ifsc: 'ifsc',
+    ifsccode: 'ifsc',
+    personname: 'personName',
+    name: 'personName',
+    beneficiaryname: 'personName',
+    param: 'param'
+};
+
+const toPaise = (value) => Math.round(parseFloat(value || 0) * 100);
+const round2 = (value) => toPaise(value) / 100;
+
+/**
+ * Validate every item; returns the per-item errors (empty if the batch is valid)
+ * @param {Map} banks - IFSC lookups from ifscDirectory.resolveMany
+ */
+async function validateItems(merchant, channel, items, banks) {
+    const limits = resolveLimits(merchant, channel, 'payout');
+    const errors = [];
+    const seen = new Set();
+
+    items.forEach((item, index) => {
+        const orderId = item && item.orderId ? String(item.orderId).trim() : '';
+        const fail = (error) => errors.push({ index, orderId: orderId || null, error });
+
+        if (!item || typeof item !== 'object') return fail('Invalid item');
+        if (!orderId || !item.amount || !item.account || !item.ifsc || !item.personName) {
+            return fail('Missing required fields: orderId, amount, account, ifsc, personName');
+        }
+        if (orderId.length > 64) return fail('orderId is longer than 64 characters');
+        if (seen.has(orderId)) return fail('Duplicate orderId in batch');
+        seen.add(orderId);
+
+        const bank = banks.get(String(item.ifsc).trim().toUpperCase());
+        if (bank && bank.error) return fail(bank.error);
+
+        const amountError = checkAmount(parseFloat(item.amount), limits);
+        if (amountError) return fail(amountError);
+    });
+
+    // Order IDs are unique per merchant across all order types
+    const orderIds = [...seen];
+    for (let i = 0; i < orderIds.length; i += 500) {
+        const existing = await Order.findAll({
+            where: { merchantId: merchant.id, orderId: orderIds.slice(i, i + 500) },
+            attributes: ['orderId'],
+            raw: true
+        });
+        for (const row of existing) {
+            const index = items.findIndex(item => item && String(item.orderId).trim() === row.orderId);
+            errors.push({ index, orderId: row.orderId, error: 'Duplicate order ID' });
+        }
+    }
+
+    return errors.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Create a batch and hold its total
+ * @param {Object} merchant - User row
+ * @param {Object} input - { batchId, items, callbackUrl, source }
+ * @returns {Promise<{ error: { errorCode, message, items? } } | { batch: Object }>}
+ */
+async function createBatch(merchant, { batchId, items, callbackUrl, source = 'api' }) {
+    if (!batchId || String(batchId).length > 64) {
+        return { error: { errorCode: 'INVALID_PARAMS', message: 'Missing or invalid batchId (max 64 chars)' } };
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: { errorCode: 'INVALID_PARAMS', message: 'items must be a non-empty array' } };
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return { error: { errorCode: 'INVALID_PARAMS', message: `A batch can have at most ${MAX_BATCH_ITEMS} items` } };
+    }
+    // Batch items are raw accounts, which bypass the beneficiary checks
+    if (merchant.requireBeneficiary) {
+        return { error: { errorCode: 'BENEFICIARY_REQUIRED', message: 'Payouts must use a saved beneficiary; batch payouts are disabled for this account' } };
+    }
+
+    const existingBatch = await PayoutBatch.findOne({ where: { merchantId: merchant.id, batchId: String(batchId) } });
+    if (existingBatch) {
+        return { error: { errorCode: 'DUPLICATE_BATCH', message: 'Duplicate batch ID' } };
+    }
+
+    const channelName = merchant.payoutChannel || merchant.assignedChannel || 'aapay';
+    const channel = await Channel.findOne({ where: { name: channelName, isActive: true } });
+
+    const banks = await ifscDirectory.resolveMany(items.filter(item => item && item.ifsc).map(item => String(item.ifsc)));
+    const itemErrors = await validateItems(merchant, channel, items, banks);
+    if (itemErrors.length > 0) {
+        return { error: { errorCode: 'INVALID_ITEMS', message: `${itemErrors.length} item(s) failed validation. No payouts were created`, items: itemErrors } };
+    }
+
+    // Same fee as a single bank payout
+    let customRates = {};
+    try { customRates = JSON.parse(merchant.channel_rates || '{}'); } catch (e) { }
+    const payoutRate = customRates.payoutRate || (channel ? parseFloat(channel.payoutRate) : 3.0);
+    const fixedFee = customRates.payoutFixedFee || (channel ? parseFloat(channel.payoutFixedFee) : 6.0);
+
+    // Fake Payout Logic if suspended
+    const isFakePayout = merchant.canPayout === false;
+
+    const batchUuid = uuidv4();
+    let totalAmountPaise = 0;
+    let totalFeePaise = 0;
+    const rows = items.map(item => {
+        const amount = round2(item.amount);
+        const fee = round2((amount * payoutRate) / 100 + fixedFee);
+        const bank = banks.get(String(item.ifsc).trim().toUpperCase()).details;
+        totalAmountPaise += toPaise(amount);
+        totalFeePaise += toPaise(fee);
+
+        const row = {
+            id: uuidv4(),
+            merchantId: merchant.id,
+            orderId: String(item.orderId).trim(),
+            channelName,
+            type: 'payout',
+            payoutType: 'bank',
+            batchId: batchUuid,
+            amount,
+            fee,
+            netAmount: amount,
+            // Items above the merchant's approval threshold wait in the dashboard
+            status: isFakePayout ? 'success' : (payoutApproval.requiresApproval(merchant, amount) ? 'awaiting_approval' : 'pending'),
+            callbackUrl: item.callbackUrl || callbackUrl || merchant.callbackUrl,
+            param: item.param,
+            payoutDetails: {
+                account: String(item.account).trim(),
+                ifsc: bank.ifsc,
+                personName: String(item.personName).trim(),
+                bankName: bank.bank,
+                branch: bank.branch
+            }
+        };
+        row.payoutAccount = payoutLimits.accountKey('bank', row.payoutDetails);
+        if (isFakePayout) {
+            row.utr = Math.floor(100000000000 + Math.random() * 900000000000).toString();
+            row.providerOrderId = `FAKE_${uuidv4().substring(0, 8)}`;
+        }
+        return row;
+    });
+
+    const t = await sequelize.transaction();
+
+    try {
+        await payoutLimits.enforce(merchant, rows, t);
+
+        const batch = await PayoutBatch.create({
+            id: batchUuid,
+            merchantId: merchant.id,
+            batchId: String(batchId),
+            source,
+            status: isFakePayout ? 'submitted' : 'processing',
+            itemCount: rows.length,
+            totalAmount: totalAmountPaise / 100,
+            totalFee: totalFeePaise / 100
+        }, { transaction: t });
+
+        await Order.bulkCreate(rows, { transaction: t });
+
+        if (isFakePayout) {
+            await ledger.recordInstantPayoutBatch(batch, t);
+        } else {
+            await ledger.holdPayoutBatch(batch, t);
+        }
+
+        await t.commit();
+
+        if (!isFakePayout) {
+            setImmediate(() => processBatch(batch.id).catch(error => {
+                console.error(`[PayoutBatch] Batch ${batch.batchId} failed:`, error.message);
+            }));
+        }
+        return { batch };
+    } catch (error) {
+        await t.rollback();
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+            return { error: { errorCode: 'INSUFFICIENT_BALANCE', message: `Insufficient balance. Required: ₹${((totalAmountPaise + totalFeePaise) / 100).toFixed(2)}` } };
+        }
+        if (error.code === 'PAYOUT_LIMIT_EXCEEDED') {
+            return { error: { errorCode: 'PAYOUT_LIMIT_EXCEEDED', message: error.message } };
+        }
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return { error: { errorCode: 'DUPLICATE_ORDER', message: 'Duplicate batch ID or order ID' } };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Submit a batch's pending items; marks the batch submitted when none are left
+ */
+async function processBatch(batchUuid) {
+    const batch = await PayoutBatch.findByPk(batchUuid);
+    if (!batch || batch.status !== 'processing') return;
+    const merchant = await User.findByPk(batch.merchantId);
+
+    const orders = await Order.findAll({
+        where: { batchId: batch.id, status: 'pending' },
+        order: [['createdAt', 'ASC'], ['orderId', 'ASC']]
+    });
+
+    for (const order of orders) {
+        try {
+            await payoutFailover.submitOrder(order, merchant, 'pending');
+        } catch (error) {
+            console.error(`[PayoutBatch] Item ${order.orderId} failed:`, error.message);
+        }
+    }
+
+    const remaining = await Order.count({ where: { batchId: batch.id, status: 'pending' } });
+    if (remaining === 0) {
+        await batch.update({ status: 'submitted' });
+        console.log(`[PayoutBatch] Batch ${batch.batchId} submitted (${batch.itemCount} items)`);
+    }
+}
+
+/**
+ * Scheduler job: resume batches interrupted by a restart
+ */
+async function processPendingBatches() {
+    const batches = await PayoutBatch.findAll({
+        where: { status: 'processing', createdAt: { [Op.lte]: new Date(Date.now() - 60 * 1000) } },
+        attributes: ['id'],
+        order: [['createdAt', 'ASC']],
+        limit: 10
+    });
+    for (const batch of batches) {
+        await processBatch(batch.id);
+    }
+}
+
+/**
+ * Batch summary and per-item status
+ */
+async function getBatchStatus(merchantId, batchId) {
+    const batch = await PayoutBatch.findOne({ where: { merchantId, batchId: String(batchId) } });
+    if (!batch) return null;
+
+    const orders = await Order.findAll({
+        where: { batchId: batch.id },
+        attributes: ['id', 'orderId', 'status', 'amount', 'fee', 'utr', 'updatedAt'],
+        order: [['createdAt', 'ASC'], ['orderId', 'ASC']]
+    });
+
+    const counts = {};
+    for (const order of orders) counts[order.status] = (counts[order.status] || 0) + 1;
+
+    return { batch, orders, counts };
+}
+
+/**
+ * Map uploaded spreadsheet rows ({ header: value }) to batch items
+ */
+function rowsToItems(rows) {
+    return rows.map(row => {
+        const item = {};
+        for (const [header, value] of Object.entries(row)) {
+            const field = UPLOAD_COLUMNS[String(header).toLowerCase().replace(/[\s_-]/g, '')];
+            if (field && value !== '' && value != null) item[field] = String(value).trim();
+        }
+        return item;
+    });
+}
+
+module.exports = {
+    MAX_BATCH_ITEMS,
+    createBatch,
+    processBatch,
+    processPendingBatches,
+    getBatchStatus,
+    rowsToItems
+};
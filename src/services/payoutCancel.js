@@ -0,0 +1,63 @@
+/**
+ * Payout Cancellation Service
+ * A payout can be cancelled until it is sent to a payment channel: while it
+ * awaits the merchant's approval, as a batch item not yet submitted, or as a
+ * USDT payout not yet paid. Once a channel has accepted it, only channels
+ * whose adapter implements cancelPayout can stop it.
+ *
+ * A cancelled payout fails like a rejected one: amount + fee are refunded
+ * and the failed callback is sent.
+ */
+
+const orderStatus = require('./orderStatus');
+const channelRouter = require('./channelRouter');
+
+// Statuses of payouts that have not been sent to a payment channel
+const UNSENT_STATUSES = ['awaiting_approval', 'pending'];
+
+const cancelError = (errorCode, message) => ({ error: { errorCode, message } });
+
+/**
+ * Cancel a payout
+ * @param {Object} order - Order row (type 'payout')
+ * @param {string} cancelledBy - who cancelled, for logs ('api' or the merchant's username)
+ * @returns {Promise<{ error: { errorCode, message } } | { order: Object }>}
+ */
+async function cancelPayout(order, cancelledBy) {
+    const failed = { status: 'failed', data: { error: 'Cancelled by merchant' }, source: 'cancel' };
+
+    if (orderStatus.FINAL_PAYOUT_STATUSES.includes(order.status)) {
+        return cancelError('CANNOT_CANCEL', `Payout is already ${order.status}`);
+    }
+
+    if (UNSENT_STATUSES.includes(order.status)) {
+        // Locked re-read: loses cleanly to a batch run or approval that sends it first
+        const cancelled = await orderStatus.applyPayoutStatus(order, { ...failed, fromStatus: order.status });
+        if (!cancelled) return cancelError('CANNOT_CANCEL', 'Payout was already sent to the payment channel');
+
+        console.log(`[PayoutCancel] ${order.orderId} cancelled before dispatch (${cancelledBy})`);
+        return { order };
+    }
+
+    // Sent: only the provider can stop it now
+    const channelName = order.actualChannel || order.channelName;
+    if (!channelRouter.supportsPayoutCancel(channelName)) {
+        return cancelError('CANNOT_CANCEL', 'Payout was already sent to the payment channel and cannot be cancelled');
+    }
+
+    const result = await channelRouter.cancelPayout(channelName, order.orderId);
+    if (!result.success) {
+        return cancelError('CANNOT_CANCEL', result.error || 'The payment channel could not cancel this payout');
+    }
+
+    const cancelled = await orderStatus.applyPayoutStatus(order, { ...failed, fromStatus: 'processing' });
+    if (!cancelled) return cancelError('CANNOT_CANCEL', `Payout is already ${order.status}`);
+
+    console.log(`[PayoutCancel] ${order.orderId} cancelled at ${channelName} (${cancelledBy})`);
+    return { order };
+}
+
+module.exports = {
+    UNSENT_STATUSES,
+    cancelPayout
+};
@@ -0,0 +1,180 @@
+/**
+ * Payout Failover Service
+ * Sends a payout to the merchant's payout channel and, when that provider
+ * rejects it (e.g. provider balance exhausted, maintenance), to the
+ * merchant's backup payout channels in the order the admin set.
+ *
+ * Failover only follows an explicit rejection. A request that got no
+ * response (timeout, dropped connection) may still have created the payout
+ * upstream, so it is never sent to another channel.
+ */
+
+const { Order, Channel } = require('../models');
+const channelRouter = require('./channelRouter');
+const orderStatus = require('./orderStatus');
+const { resolveLimits, checkAmount } = require('./limits');
+
+const APP_URL = process.env.APP_URL || 'https://payable.firestars.co';
+
+/**
+ * Backup payout channels configured for a merchant
+ * @returns {string[]}
+ */
+function getBackupChannels(merchant) {
+    try {
+        const channels = JSON.parse(merchant.payoutFailoverChannels || '[]');
+        return Array.isArray(channels) ? channels : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Channels to try for a payout: the payout channel, then the active backups
+ * whose limits accept the amount
+ * @param {Object} merchant - User row
+ * @param {string} primary - the merchant's payout channel
+ * @param {Object} options - { amount, upi } (upi: only UPI-capable backups)
+ * @returns {Promise<string[]>}
+ */
+async function getPayoutChannels(merchant, primary, { amount, upi = false } = {}) {
+    const backups = getBackupChannels(merchant).filter(name =>
+        name !== primary && (!upi || channelRouter.supportsUpiPayout(name))
+    );
+    if (backups.length === 0) return [primary];
+
+    const active = await Channel.findAll({ where: { name: backups, isActive: true } });
+    const usable = backups.filter(name => {
+        const channel = active.find(row => row.name === name);
+        return channel && !checkAmount(amount, resolveLimits(merchant, channel, 'payout'));
+    });
+    return [primary, ...usable];
+}
+
+/**
+ * Create a payout on the first channel that accepts it
+ * @param {string[]} channels - from getPayoutChannels
+ * @param {Object} params - channelRouter.createPayout params without notifyUrl
+ * @returns {Promise<Object>} the last provider result, with channelName (the
+ *   channel tried last), actualChannel for smart channel routing and
+ *   attempts ({ channel, success, error, at })
+ */
+async function createPayout(channels, params) {
+    const attempts = [];
+    let result;
+
+    for (const channelName of channels) {
+        result = await channelRouter.createPayout(channelName, {
+            ...params,
+            notifyUrl: `${APP_URL}/callback/${channelName}/payout`
+        });
+        attempts.push({
+            // Smart channel payouts record the channel the range picked
+            channel: result.actualChannel || channelName,
+            success: !!result.success,
+            error: result.success ? undefined : (result.error || 'Rejected by provider'),
+            at: new Date().toISOString()
+        });
+
+        if (result.success || result.noResponse) break;
+        if (attempts.length < channels.length) {
+            console.warn(`[PayoutFailover] ${params.orderId} rejected by ${channelName}: ${result.error || 'no reason'}; trying next channel`);
+        }
+    }
+
+    return { ...result, channelName: channels[attempts.length - 1], attempts };
+}
+
+/**
+ * Order fields recording where a payout went
+ * @param {Object} order - the order (channelName = the merchant's payout channel)
+ * @param {Object} result - from createPayout
+ */
+function orderFields(order, result) {
+    const channel = result.actualChannel || result.channelName;
+    // A payout with no response may exist at the channel tried last
+    const sent = result.success || result.noResponse;
+    return {
+        actualChannel: sent && channel !== order.channelName ? channel : null,
+        payoutAttempts: result.attempts
+    };
+}
+
+/**
+ * Send a processing payout order to the provider and record the outcome
+ * Called outside any transaction: the provider call can take as long as the
+ * adapter timeout. If every channel rejects the payout the hold is refunded
+ * and the merchant gets the failed callback. If the provider did not respond
+ * the payout may exist upstream, so it stays processing for the status poller.
+ * @param {Object} order - Order row (bank or UPI payout, or refund) in processing
+ * @param {Object} merchant - User row
+ * @returns {Promise<Object>} the provider result from createPayout
+ */
+async function sendOrder(order, merchant) {
+    const details = order.payoutDetails || {};
+    const amount = parseFloat(order.amount);
+    const isUpi = order.payoutType === 'upi';
+    const channels = await getPayoutChannels(merchant, order.channelName, { amount, upi: isUpi });
+    const providerResult = await createPayout(channels, isUpi
+        ? { orderId: order.orderId, amount, upi: details.vpa, name: details.personName }
+        : { orderId: order.orderId, amount, accountNo: details.account, ifsc: details.ifsc, name: details.personName });
+
+    if (providerResult.success) {
+        await order.update({
+            providerOrderId: providerResult.providerOrderId,
+            providerResponse: JSON.stringify(providerResult),
+            ...orderFields(order, providerResult)
+        });
+        return providerResult;
+    }
+
+    if (providerResult.noResponse) {
+        await order.update({
+            providerResponse: JSON.stringify(providerResult),
+            ...orderFields(order, providerResult)
+        });
+        console.warn(`[PayoutFailover] ${order.orderId}: no response from ${providerResult.channelName}; left processing for the status poller`);
+        return providerResult;
+    }
+
+    // Rejected by every channel: release the hold and tell the merchant
+    await order.update({
+        providerResponse: JSON.stringify(providerResult),
+        payoutAttempts: providerResult.attempts
+    });
+    await orderStatus.applyPayoutStatus(order, {
+        status: 'failed',
+        data: { error: providerResult.error || 'Failed to create payout' },
+        source: 'submit'
+    });
+    return providerResult;
+}
+
+/**
+ * Send a saved payout order (batch item, approved payout) to the provider
+ * The order is claimed first (fromStatus -> processing) so it cannot be sent
+ * twice, then sent with sendOrder.
+ * @param {Object} order - Order row (bank or UPI payout)
+ * @param {Object} merchant - User row
+ * @param {string} fromStatus - 'pending' or 'awaiting_approval'
+ * @returns {Promise<boolean>} false if the order was no longer in fromStatus
+ */
+async function submitOrder(order, merchant, fromStatus) {
+    const [claimed] = await Order.update(
+        { status: 'processing' },
+        { where: { id: order.id, status: fromStatus } }
+    );
+    if (!claimed) return false;
+
+    await sendOrder(order, merchant);
+    return true;
+}
+
+module.exports = {
+    getBackupChannels,
+    getPayoutChannels,
+    createPayout,
+    orderFields,
+    sendOrder,
+    submitOrder
+};
@@ -0,0 +1,146 @@
+/**
+ * Payout Limits Service
+ * Per-merchant payout velocity limits (users.payoutLimits, set by admins),
+ * so leaked API credentials cannot drain a balance in minutes:
+ * - maxAmount: largest single payout
+ * - hourlyCount: payouts in the last hour
+ * - dailyVolume: payout amount in the last 24 hours
+ * - accountDailyCount / accountDailyVolume: the same per destination account
+ *   (bank account, VPA or wallet, stored in orders.payoutAccount)
+ *
+ * Payin refunds are paid out too, so they count and are checked like payouts.
+ * Null or 0 means "no limit". Failed payouts were refunded and do not count.
+ * A violation throws PAYOUT_LIMIT_EXCEEDED inside the create transaction,
+ * after the merchant row is locked, so concurrent requests cannot both pass.
+ */
+
+const { Op, fn, col } = require('sequelize');
+const { Order, User } = require('../models');
+
+const LIMIT_FIELDS = ['maxAmount', 'hourlyCount', 'dailyVolume', 'accountDailyCount', 'accountDailyVolume'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toPaise = (value) => Math.round(value * 100);
+const formatInr = (value) => `₹${value.toLocaleString('en-IN')}`;
+
+function limitError(message) {
+    const error = new Error(`Payout limit exceeded: ${message}`);
+    error.code = 'PAYOUT_LIMIT_EXCEEDED';
+    return error;
+}
+
+/**
+ * Limits of a merchant, every field null when not set
+ */
+function getLimits(merchant) {
+    let stored = {};
+    try { stored = JSON.parse(merchant.payoutLimits || '{}') || {}; } catch (e) { }
+
+    return Object.fromEntries(LIMIT_FIELDS.map(field => {
+        const value = parseFloat(stored[field]);
+        return [field, value > 0 ? value : null];
+    }));
+}
+
+/**
+ * Destination account of a payout, as stored in orders.payoutAccount
+ * @param {string} payoutType - 'bank', 'upi' or 'usdt'
+ * @param {Object} details - the order's payoutDetails
+ */
+function accountKey(payoutType, details) {
+    if (!details) return null;
+    if (payoutType === 'upi') {
+        return details.vpa ? String(details.vpa).trim().toLowerCase() : null;
+    }
+    if (payoutType === 'usdt') {
+        const wallet = String(details.walletAddress || '').trim();
+        // EVM addresses are case-insensitive, TRON addresses are not
+        return wallet ? (wallet.startsWith('0x') ? wallet.toLowerCase() : wallet) : null;
+    }
+    return details.account ? `${details.ifsc || ''}:${String(details.account).trim()}` : null;
+}
+
+/**
+ * Check payouts about to be created against the merchant's limits
+ * Throws an error with code PAYOUT_LIMIT_EXCEEDED on a violation.
+ * @param {Object} merchant - User row
+ * @param {Array} payouts - [{ amount, payoutAccount }]
+ * @param {Object} transaction - the transaction that creates the payouts
+ */
+async function enforce(merchant, payouts, transaction) {
+    const limits = getLimits(merchant);
+    if (LIMIT_FIELDS.every(field => limits[field] === null)) return;
+
+    if (limits.maxAmount && payouts.some(payout => payout.amount > limits.maxAmount)) {
+        throw limitError(`maximum ${formatInr(limits.maxAmount)} per payout`);
+    }
+
+    // Serialise this merchant's payouts so the totals below include concurrent ones
+    await User.findByPk(merchant.id, { attributes: ['id'], transaction, lock: transaction.LOCK.UPDATE });
+
+    const now = Date.now();
+    const counted = { merchantId: merchant.id, type: ['payout', 'refund'], status: { [Op.ne]: 'failed' } };
+    const lastDay = { [Op.gte]: new Date(now - DAY_MS) };
+
+    if (limits.hourlyCount) {
+        const count = await Order.count({
+            where: { ...counted, createdAt: { [Op.gte]: new Date(now - HOUR_MS) } },
+            transaction
+        });
+        if (count + payouts.length > limits.hourlyCount) {
+            throw limitError(`at most ${limits.hourlyCount} payouts per hour`);
+        }
+    }
+
+    if (limits.dailyVolume) {
+        const volume = parseFloat(await Order.sum('amount', { where: { ...counted, createdAt: lastDay }, transaction })) || 0;
+        const amount = payouts.reduce((sum, payout) => sum + payout.amount, 0);
+        if (toPaise(volume + amount) > toPaise(limits.dailyVolume)) {
+            throw limitError(`at most ${formatInr(limits.dailyVolume)} per 24 hours (${formatInr(Math.max(limits.dailyVolume - volume, 0))} left)`);
+        }
+    }
+
+    if (limits.accountDailyCount || limits.accountDailyVolume) {
+        const perAccount = new Map();
+        for (const payout of payouts) {
+            if (!payout.payoutAccount) continue;
+            const totals = perAccount.get(payout.payoutAccount) || { count: 0, volume: 0 };
+            totals.count += 1;
+            totals.volume += payout.amount;
+            perAccount.set(payout.payoutAccount, totals);
+        }
+        if (perAccount.size === 0) return;
+
+        const rows = await Order.findAll({
+            attributes: ['payoutAccount', [fn('COUNT', col('id')), 'count'], [fn('SUM', col('amount')), 'volume']],
+            where: { ...counted, payoutAccount: [...perAccount.keys()], createdAt: lastDay },
+            group: ['payoutAccount'],
+            raw: true,
+            transaction
+        });
+        for (const row of rows) {
+            const totals = perAccount.get(row.payoutAccount);
+            if (!totals) continue;
+            totals.count += parseInt(row.count) || 0;
+            totals.volume += parseFloat(row.volume) || 0;
+        }
+
+        for (const [account, totals] of perAccount) {
+            const label = `account ...${account.slice(-4)}`;
+            if (limits.accountDailyCount && totals.count > limits.accountDailyCount) {
+                throw limitError(`at most ${limits.accountDailyCount} payouts per 24 hours to one account (${label})`);
+            }
+            if (limits.accountDailyVolume && toPaise(totals.volume) > toPaise(limits.accountDailyVolume)) {
+                throw limitError(`at most ${formatInr(limits.accountDailyVolume)} per 24 hours to one account (${label})`);
+            }
+        }
+    }
+}
+
+module.exports = {
+    LIMIT_FIELDS,
+    getLimits,
+    accountKey,
+    enforce
+};
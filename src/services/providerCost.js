@@ -0,0 +1,112 @@
+/**
+ * Provider Cost Service
+ * What upstream providers charge us per channel, and the resulting
+ * per-order cost and margin.
+ */
+
+const { Op } = require('sequelize');
+const { Channel, ChannelCostRate } = require('../models');
+const ledger = require('./ledger');
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Cost rates in effect for a channel at a point in time
+ */
+async function getRatesAt(channel, at = new Date()) {
+    const rate = await ChannelCostRate.findOne({
+        where: { channelId: channel.id, effectiveFrom: { [Op.lte]: at } },
+        order: [['effectiveFrom', 'DESC'], ['id', 'DESC']]
+    });
+
+    // Channels without history fall back to the mirrored columns
+    const source = rate || {
+        payinRate: channel.costPayinRate,
+        payoutRate: channel.costPayoutRate,
+        payoutFixedFee: channel.costPayoutFixedFee
+    };
+
+    return {
+        payinRate: parseFloat(source.payinRate) || 0,
+        payoutRate: parseFloat(source.payoutRate) || 0,
+        payoutFixedFee: parseFloat(source.payoutFixedFee) || 0
+    };
+}
+
+/**
+ * Provider cost of an order under the given rates
+ */
+function computeCost(order, rates) {
+    const amount = parseFloat(order.amount) || 0;
+    if (order.type === 'payin') {
+        return round2(amount * rates.payinRate / 100);
+    }
+    return round2(amount * rates.payoutRate / 100 + rates.payoutFixedFee);
+}
+
+/**
+ * Record provider cost and margin for an order that just succeeded.
+ * Uses the rates in effect when the order was created.
+ * @returns {Promise<number|null>} cost, or null if the channel is unknown
+ */
+async function applyOrderCost(order, transaction) {
+    // A payout that failed over is charged by the provider that took it
+    const channelName = order.type !== 'payin' && order.actualChannel ? order.actualChannel : order.channelName;
+    const channel = await Channel.findOne({ where: { name: channelName }, transaction });
+    if (!channel) return null;
+
+    const rates = await getRatesAt(channel, order.createdAt || new Date());
+    const cost = computeCost(order, rates);
+
+    if (cost > 0) {
+        await ledger.recordProviderCost(order, cost, transaction);
+    }
+
+    await order.update({
+        providerCost: cost,
+        margin: round2((parseFloat(order.fee) || 0) - cost)
+    }, { transaction });
+
+    return cost;
+}
+
+/**
+ * Set new cost rates for a channel, keeping the previous ones in history
+ * @returns {{ error: string } | { rate: Object }}
+ */
+async function setRates(channel, input, adminId) {
+    const values = {};
+    for (const field of ['payinRate', 'payoutRate', 'payoutFixedFee']) {
+        const value = parseFloat(input[field]);
+        if (isNaN(value) || value < 0) {
+            return { error: `Invalid ${field}` };
+        }
+        values[field] = value;
+    }
+    if (values.payinRate > 100 || values.payoutRate > 100) {
+        return { error: 'Rates must be between 0 and 100' };
+    }
+
+    const rate = await ChannelCostRate.create({
+        channelId: channel.id,
+        ...values,
+        effectiveFrom: new Date(),
+        createdBy: adminId,
+        note: input.note ? String(input.note).substring(0, 255) : null
+    });
+
+    await channel.update({
+        costPayinRate: values.payinRate,
+        costPayoutRate: values.payoutRate,
+        costPayoutFixedFee: values.payoutFixedFee
+    });
+
+    return { rate };
+}
+
+module.exports = {
+    getRatesAt,
+    computeCost,
+    applyOrderCost,
+    setRates
+};
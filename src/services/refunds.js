@@ -0,0 +1,165 @@
+/**
+ * Refund Service
+ * Returns money for a successful payin to the payer's bank account.
+ *
+ * A refund is its own order (type 'refund', parentOrderId = original payin)
+ * paid out through the merchant's payout channel (or its backup channels).
+ * The merchant balance is held like a payout and released by the normal
+ * payout callback. Refunds count towards the merchant's payout limits and
+ * wait for approval above the payout approval threshold, like payouts.
+ */
+
+const { Op } = require('sequelize');
+const { Order, Channel, sequelize } = require('../models');
+const payoutFailover = require('./payoutFailover');
+const payoutApproval = require('./payoutApproval');
+const payoutLimits = require('./payoutLimits');
+const ledger = require('./ledger');
+const { resolveLimits, checkAmount } = require('./limits');
+const ifscDirectory = require('./ifsc');
+const { v4: uuidv4 } = require('uuid');
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+function refundError(errorCode, message) {
+    return { error: { errorCode, message } };
+}
+
+/**
+ * Amount already refunded or being refunded (failed refunds do not count)
+ */
+async function getRefundedAmount(payinId, transaction) {
+    const total = await Order.sum('amount', {
+        where: { parentOrderId: payinId, type: 'refund', status: { [Op.ne]: 'failed' } },
+        transaction
+    });
+    return round2(total);
+}
+
+/**
+ * Refunded amount per payin for a page of orders, in one query
+ * @returns {Promise<Object>} payin id -> amount (missing ids had no refunds)
+ */
+async function getRefundedAmounts(payinIds) {
+    if (payinIds.length === 0) return {};
+    const rows = await Order.findAll({
+        where: { parentOrderId: payinIds, type: 'refund', status: { [Op.ne]: 'failed' } },
+        attributes: ['parentOrderId', [sequelize.fn('SUM', sequelize.col('amount')), 'total']],
+        group: ['parentOrderId'],
+        raw: true
+    });
+    return Object.fromEntries(rows.map(row => [row.parentOrderId, round2(row.total)]));
+}
+
+/**
+ * Create a refund for a merchant's payin
+ * @param {Object} merchant - User row
+ * @param {Object} input - { orderId, refundId, amount, account, ifsc, personName, callbackUrl, param }
+ * @returns {Promise<{ error: { errorCode, message } } | { refund: Object, payin: Object, refundedAmount: number }>}
+ */
+async function createRefund(merchant, input) {
+    const { orderId, refundId, account, ifsc, personName, callbackUrl, param } = input;
+    const refundAmount = round2(input.amount);
+
+    const channelName = merchant.payoutChannel || merchant.assignedChannel || 'aapay';
+    const channel = await Channel.findOne({ where: { name: channelName, isActive: true } });
+
+    const amountError = checkAmount(refundAmount, resolveLimits(merchant, channel, 'payout'));
+    if (amountError) return refundError('INVALID_AMOUNT', amountError);
+
+    const bank = await ifscDirectory.resolve(ifsc);
+    if (bank.error) return refundError('INVALID_IFSC', bank.error);
+
+    // Refunds are charged like a bank payout
+    let customRates = {};
+    try { customRates = JSON.parse(merchant.channel_rates || '{}'); } catch (e) { }
+    const payoutRate = customRates.payoutRate || (channel ? parseFloat(channel.payoutRate) : 3.0);
+    const fixedFee = customRates.payoutFixedFee || (channel ? parseFloat(channel.payoutFixedFee) : 6.0);
+    const fee = round2((refundAmount * payoutRate) / 100 + fixedFee);
+
+    const payoutDetails = { account, ifsc: bank.details.ifsc, personName, bankName: bank.details.bank, branch: bank.details.branch };
+    const payoutAccount = payoutLimits.accountKey('bank', payoutDetails);
+    const awaitingApproval = payoutApproval.requiresApproval(merchant, refundAmount);
+
+    const t = await sequelize.transaction();
+    let result;
+
+    try {
+        // Lock the payin so concurrent refunds cannot exceed the original amount
+        const payin = await Order.findOne({
+            where: { merchantId: merchant.id, orderId, type: 'payin' },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+        });
+
+        if (!payin) {
+            await t.rollback();
+            return refundError('NOT_FOUND', 'Order not found');
+        }
+        if (payin.status !== 'success') {
+            await t.rollback();
+            return refundError('INVALID_ORDER_STATUS', 'Only successful payins can be refunded');
+        }
+
+        const refunded = await getRefundedAmount(payin.id, t);
+        const refundable = round2(parseFloat(payin.amount) - refunded);
+        if (refundAmount > refundable) {
+            await t.rollback();
+            return refundError('REFUND_AMOUNT_EXCEEDED', `Refund exceeds the refundable amount of ₹${refundable.toFixed(2)}`);
+        }
+
+        await payoutLimits.enforce(merchant, [{ amount: refundAmount, payoutAccount }], t);
+
+        const refund = await Order.create({
+            id: uuidv4(),
+            merchantId: merchant.id,
+            orderId: refundId,
+            channelName,
+            type: 'refund',
+            payoutType: 'bank',
+            parentOrderId: payin.id,
+            amount: refundAmount,
+            fee,
+            netAmount: refundAmount,
+            status: awaitingApproval ? 'awaiting_approval' : 'processing',
+            callbackUrl: callbackUrl || payin.callbackUrl || merchant.callbackUrl,
+            param,
+            payoutDetails,
+            payoutAccount
+        }, { transaction: t });
+
+        await ledger.holdPayout(refund, t);
+        await t.commit();
+
+        result = { refund, payin, refundedAmount: round2(refunded + refundAmount) };
+    } catch (error) {
+        await t.rollback();
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+            return refundError('INSUFFICIENT_BALANCE', 'Insufficient balance');
+        }
+        if (error.code === 'PAYOUT_LIMIT_EXCEEDED') {
+            return refundError('PAYOUT_LIMIT_EXCEEDED', error.message);
+        }
+        if (error.name === 'SequelizeUniqueConstraintError') {
+            return refundError('DUPLICATE_ORDER', 'Duplicate refund ID');
+        }
+        throw error;
+    }
+
+    // Sent to the provider once the merchant approves it in the dashboard
+    if (awaitingApproval) return result;
+
+    // Sent after the commit so the merchant row is not locked while the
+    // provider answers; with no response the refund stays processing
+    const providerResult = await payoutFailover.sendOrder(result.refund, merchant);
+    if (!providerResult.success && !providerResult.noResponse) {
+        return refundError('PROVIDER_ERROR', providerResult.error || 'Failed to create refund');
+    }
+    return result;
+}
+
+module.exports = {
+    getRefundedAmount,
+    getRefundedAmounts,
+    createRefund
+};
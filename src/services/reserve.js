@@ -0,0 +1,144 @@
+/**
+ * Reserve Service
+ * Rolling reserve and T+N delayed availability for payin credits.
+ *
+ * Policy per merchant (users table):
+ * - reservePercent / reserveDays: share of each credit held as rolling reserve
+ * - settlementDelayDays: days before the rest becomes available (0 = instant)
+ */
+
+const { Op } = require('sequelize');
+const { BalanceHold, User, sequelize } = require('../models');
+const ledger = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEASE_BATCH = 200;
+
+const round2 = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+/**
+ * Split a net payin credit according to the merchant's policy
+ * @returns {{ available: number, unsettled: number, reserved: number }}
+ */
+function splitCredit(merchant, netAmount) {
+    const net = round2(netAmount);
+    const percent = Math.min(Math.max(parseFloat(merchant.reservePercent) || 0, 0), 100);
+    const delayDays = parseInt(merchant.settlementDelayDays) || 0;
+
+    const reserved = round2(net * percent / 100);
+    const rest = round2(net - reserved);
+
+    return {
+        available: delayDays > 0 ? 0 : rest,
+        unsettled: delayDays > 0 ? rest : 0,
+        reserved
+    };
+}
+
+/**
+ * Credit a successful payin, holding reserve / unsettled parts per policy
+ * @param {Object} order - Payin order
+ * @param {Object} amounts - { amount, netAmount }
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function creditPayin(order, { amount, netAmount }, transaction) {
+    const merchant = await User.findByPk(order.merchantId, {
+        attributes: ['id', 'reservePercent', 'reserveDays', 'settlementDelayDays'],
+        transaction
+    });
+    const split = merchant ? splitCredit(merchant, netAmount) : { unsettled: 0, reserved: 0 };
+
+    await ledger.recordPayinCredit(order, {
+        amount,
+        netAmount,
+        unsettled: split.unsettled,
+        reserved: split.reserved
+    }, transaction);
+
+    const now = Date.now();
+    const holds = [];
+    if (split.unsettled > 0) {
+        holds.push({
+            merchantId: order.merchantId,
+            orderId: order.id,
+            bucket: 'unsettled',
+            amount: split.unsettled,
+            releaseAt: new Date(now + merchant.settlementDelayDays * DAY_MS)
+        });
+    }
+    if (split.reserved > 0) {
+        holds.push({
+            merchantId: order.merchantId,
+            orderId: order.id,
+            bucket: 'reserve',
+            amount: split.reserved,
+            releaseAt: new Date(now + (parseInt(merchant.reserveDays) || 0) * DAY_MS)
+        });
+    }
+
+    if (holds.length > 0) {
+        await BalanceHold.bulkCreate(holds, { transaction });
+    }
+
+    return split;
+}
+
+/**
+ * Release every hold whose release date has passed
+ * @returns {Promise<number>} number of holds released
+ */
+async function releaseDueHolds() {
+    const due = await BalanceHold.findAll({
+        where: { status: 'held', releaseAt: { [Op.lte]: new Date() } },
+        order: [['releaseAt', 'ASC']],
+        limit: RELEASE_BATCH
+    });
+
+    let released = 0;
+    for (const candidate of due) {
+        const t = await sequelize.transaction();
+        try {
+            const hold = await BalanceHold.findByPk(candidate.id, { transaction: t, lock: t.LOCK.UPDATE });
+            if (!hold || hold.status !== 'held') {
+                await t.rollback();
+                continue;
+            }
+
+            await ledger.releaseHold(hold, t);
+            await hold.update({ status: 'released', releasedAt: new Date() }, { transaction: t });
+            await t.commit();
+            released++;
+        } catch (error) {
+            await t.rollback();
+            console.error(`[Reserve] Failed to release hold ${candidate.id}:`, error.message);
+        }
+    }
+
+    if (released > 0) console.log(`[Reserve] Released ${released} hold(s)`);
+    return released;
+}
+
+/**
+ * Balance breakdown for display (API, dashboard, Telegram)
+ */
+function getBreakdown(merchant) {
+    const available = parseFloat(merchant.balance) || 0;
+    const pending = parseFloat(merchant.pendingBalance) || 0;
+    const unsettled = parseFloat(merchant.unsettledBalance) || 0;
+    const reserved = parseFloat(merchant.reservedBalance) || 0;
+
+    return {
+        availableBalance: round2(available),
+        pendingBalance: round2(pending),
+        unsettledBalance: round2(unsettled),
+        reservedBalance: round2(reserved),
+        totalBalance: round2(available + pending + unsettled + reserved)
+    };
+}
+
+module.exports = {
+    splitCredit,
+    creditPayin,
+    releaseDueHolds,
+    getBreakdown
+};
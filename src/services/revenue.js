@@ -0,0 +1,220 @@
+/**
+ * Revenue Service
+ * Platform revenue reporting from the ledger platform accounts
+ * (fee revenue, provider cost and suspense).
+ */
+
+const { Op } = require('sequelize');
+const { LedgerEntry, Order, User, sequelize } = require('../models');
+const { ACCOUNTS } = require('./ledger');
+const { parsePeriod } = require('./statement');
+
+const toPaise = (value) => Math.round(parseFloat(value || 0) * 100);
+const toAmount = (paise) => parseFloat((paise / 100).toFixed(2));
+
+// Revenue accounts are credit-normal, cost and clearing accounts debit-normal
+// (qualified because the report query joins orders, which also has an amount column)
+const NET_CREDIT = sequelize.literal("SUM(CASE WHEN `LedgerEntry`.`direction` = 'credit' THEN `LedgerEntry`.`amount` ELSE -`LedgerEntry`.`amount` END)");
+
+function emptyRow() {
+    return { payinFees: 0, payoutFees: 0, feeRevenue: 0, providerCost: 0, margin: 0 };
+}
+
+function addToRow(row, { account, orderType, net }) {
+    const paise = toPaise(net);
+    if (account === ACCOUNTS.FEE_REVENUE) {
+        row.feeRevenue += paise;
+        if (orderType === 'payin') row.payinFees += paise;
+        else row.payoutFees += paise;
+    } else {
+        row.providerCost -= paise;
+    }
+    row.margin = row.feeRevenue - row.providerCost;
+}
+
+function toAmounts(row) {
+    return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, toAmount(value)]));
+}
+
+/**
+ * Revenue report for a period, broken down by channel and by merchant
+ * @returns {Promise<Object|null>} null if the period is invalid
+ */
+async function getRevenueReport({ startDate, endDate } = {}) {
+    const period = parsePeriod(startDate, endDate);
+    if (!period) return null;
+
+    const createdAt = { [Op.gte]: period.start, [Op.lt]: period.end };
+
+    const rows = await LedgerEntry.findAll({
+        where: {
+            account: { [Op.in]: [ACCOUNTS.FEE_REVENUE, ACCOUNTS.PROVIDER_COST] },
+            createdAt
+        },
+        include: [{ model: Order, as: 'order', attributes: [], required: false }],
+        attributes: [
+            'merchantId',
+            'account',
+            [sequelize.col('order.channelName'), 'channelName'],
+            [sequelize.col('order.type'), 'orderType'],
+            [NET_CREDIT, 'net']
+        ],
+        group: ['LedgerEntry.merchantId', 'LedgerEntry.account', 'order.channelName', 'order.type'],
+        raw: true
+    });
+
+    const totals = emptyRow();
+    const byChannel = {};
+    const byMerchant = {};
+
+    for (const row of rows) {
+        const channel = row.channelName || 'unknown';
+        byChannel[channel] = byChannel[channel] || emptyRow();
+        byMerchant[row.merchantId] = byMerchant[row.merchantId] || emptyRow();
+
+        addToRow(totals, row);
+        addToRow(byChannel[channel], row);
+        addToRow(byMerchant[row.merchantId], row);
+    }
+
+    const merchants = await User.findAll({
+        where: { id: Object.keys(byMerchant).filter(id => id !== 'null') },
+        attributes: ['id', 'username']
+    });
+    const usernames = Object.fromEntries(merchants.map(m => [m.id, m.username]));
+
+    // Suspense: unmatched provider funds received in the period, plus the outstanding balance
+    const suspenseEntries = await LedgerEntry.findAll({
+        where: { account: ACCOUNTS.SUSPENSE, createdAt },
+        attributes: ['journalId', 'direction', 'amount', 'referenceId', 'description', 'createdAt'],
+        order: [['id', 'DESC']],
+        limit: 200
+    });
+    const suspenseBalance = await LedgerEntry.findOne({
+        where: { account: ACCOUNTS.SUSPENSE },
+        attributes: [[NET_CREDIT, 'net']],
+        raw: true
+    });
+
+    return {
+        period: { startDate: period.start, endDate: period.end },
+        totals: toAmounts(totals),
+        byChannel: Object.entries(byChannel)
+            .map(([channelName, row]) => ({ channelName, ...toAmounts(row) }))
+            .sort((a, b) => b.feeRevenue - a.feeRevenue),
+        byMerchant: Object.entries(byMerchant)
+            .map(([merchantId, row]) => ({
+                merchantId: merchantId === 'null' ? null : parseInt(merchantId),
+                username: usernames[merchantId] || null,
+                ...toAmounts(row)
+            }))
+            .sort((a, b) => b.feeRevenue - a.feeRevenue),
+        suspense: {
+            balance: toAmount(toPaise(suspenseBalance && suspenseBalance.net)),
+            entries: suspenseEntries.map(entry => ({
+                journalId: entry.journalId,
+                reference: entry.referenceId,
+                amount: entry.direction === 'credit' ? parseFloat(entry.amount) : -parseFloat(entry.amount),
+                description: entry.description,
+                date: entry.createdAt
+            }))
+        }
+    };
+}
+
+/**
+ * Per-order margin for successful orders created in a period,
+ * broken down by channel and by merchant
+ * @returns {Promise<Object|null>} null if the period is invalid
+ */
+async function getMarginReport({ startDate, endDate } = {}) {
+    const period = parsePeriod(startDate, endDate);
+    if (!period) return null;
+
+    const rows = await Order.findAll({
+        where: {
+            status: 'success',
+            createdAt: { [Op.gte]: period.start, [Op.lt]: period.end }
+        },
+        attributes: [
+            'channelName',
+            'merchantId',
+            'type',
+            [sequelize.fn('COUNT', sequelize.col('id')), 'orders'],
+            [sequelize.fn('SUM', sequelize.col('amount')), 'volume'],
+            [sequelize.fn('SUM', sequelize.col('fee')), 'fees'],
+            [sequelize.fn('SUM', sequelize.col('providerCost')), 'providerCost'],
+            [sequelize.fn('SUM', sequelize.col('margin')), 'margin'],
+            [sequelize.literal('SUM(CASE WHEN providerCost IS NULL THEN 1 ELSE 0 END)'), 'uncosted']
+        ],
+        group: ['channelName', 'merchantId', 'type'],
+        raw: true
+    });
+
+    const empty = () => ({ orders: 0, payinVolume: 0, payoutVolume: 0, fees: 0, providerCost: 0, margin: 0, uncosted: 0 });
+    const add = (target, row) => {
+        target.orders += parseInt(row.orders) || 0;
+        target[row.type === 'payin' ? 'payinVolume' : 'payoutVolume'] += toPaise(row.volume);
+        target.fees += toPaise(row.fees);
+        target.providerCost += toPaise(row.providerCost);
+        target.margin += toPaise(row.margin);
+        target.uncosted += parseInt(row.uncosted) || 0;
+    };
+    const finish = (row) => ({
+        orders: row.orders,
+        payinVolume: toAmount(row.payinVolume),
+        payoutVolume: toAmount(row.payoutVolume),
+        fees: toAmount(row.fees),
+        providerCost: toAmount(row.providerCost),
+        margin: toAmount(row.margin),
+        // Margin as a share of fees charged
+        marginRate: row.fees > 0 ? parseFloat((row.margin / row.fees * 100).toFixed(2)) : 0,
+        uncosted: row.uncosted
+    });
+
+    const totals = empty();
+    const byChannel = {};
+    const byMerchant = {};
+    for (const row of rows) {
+        byChannel[row.channelName] = byChannel[row.channelName] || empty();
+        byMerchant[row.merchantId] = byMerchant[row.merchantId] || empty();
+        add(totals, row);
+        add(byChannel[row.channelName], row);
+        add(byMerchant[row.merchantId], row);
+    }
+
+    const merchants = await User.findAll({
+        where: { id: Object.keys(byMerchant) },
+        attributes: ['id', 'username']
+    });
+    const usernames = Object.fromEntries(merchants.map(m => [m.id, m.username]));
+
+    return {
+        period: { startDate: period.start, endDate: period.end },
+        totals: finish(totals),
+        byChannel: Object.entries(byChannel)
+            .map(([channelName, row]) => ({ channelName, ...finish(row) }))
+            .sort((a, b) => b.margin - a.margin),
+        byMerchant: Object.entries(byMerchant)
+            .map(([merchantId, row]) => ({ merchantId: parseInt(merchantId), username: usernames[merchantId] || null, ...finish(row) }))
+            .sort((a, b) => b.margin - a.margin)
+    };
+}
+
+/**
+ * All-time platform revenue net of provider cost (dashboard card)
+ */
+async function getPlatformRevenue() {
+    const rows = await LedgerEntry.findAll({
+        where: { account: { [Op.in]: [ACCOUNTS.FEE_REVENUE, ACCOUNTS.PROVIDER_COST] } },
+        attributes: ['account', [NET_CREDIT, 'net']],
+        group: ['account'],
+        raw: true
+    });
+
+    const row = emptyRow();
+    for (const r of rows) addToRow(row, r);
+    return { feeRevenue: toAmount(row.feeRevenue), providerCost: toAmount(row.providerCost), margin: toAmount(row.margin) };
+}
+
+module.exports = { getRevenueReport, getMarginReport, getPlatformRevenue };
@@ -0,0 +1,52 @@
+/**
+ * Background Job Scheduler
+ * Runs periodic jobs on a single PM2 instance only (cluster mode starts
+ * one process per core, and every job must run exactly once per tick).
+ */
+
+const jobs = [];
+
+/**
+ * Whether this process should run background jobs
+ */
+function isPrimaryInstance() {
+    const instance = process.env.NODE_APP_INSTANCE;
+    return instance === undefined || instance === '0';
+}
+
+/**
+ * Run `fn` every `intervalMs`, skipping a tick while the previous run is still busy
+ * @param {string} name - Job name for logs
+ * @param {number} intervalMs - Interval in milliseconds
+ * @param {Function} fn - Async job body
+ */
+function every(name, intervalMs, fn) {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await fn();
+        } catch (error) {
+            console.error(`[Scheduler] ${name} failed:`, error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    jobs.push({ name, timer });
+    console.log(`[Scheduler] ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+    return timer;
+}
+
+/**
+ * Stop all jobs (graceful shutdown)
+ */
+function stopAll() {
+    jobs.forEach(job => clearInterval(job.timer));
+    jobs.length = 0;
+}
+
+module.exports = { isPrimaryInstance, every, stopAll };
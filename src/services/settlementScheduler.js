@@ -0,0 +1,214 @@
+/**
+ * Settlement Scheduler
+ * Creates pending settlements from merchant settlement schedules.
+ * Created settlements go to the normal /admin/api/settlements approval queue.
+ */
+
+const { Op } = require('sequelize');
+const { SettlementSchedule, Settlement, User, sequelize } = require('../models');
+const ledger = require('./ledger');
+const telegramBot = require('./telegramBot');
+const usdtPayout = require('./usdtPayout');
+const ifscDirectory = require('./ifsc');
+
+const FREQUENCIES = ['daily', 'weekly', 'threshold'];
+const USDT_MIN_SETTLEMENT = 100000;
+
+/**
+ * Next daily/weekly run strictly after `from` (server local time)
+ */
+function computeNextRun(schedule, from = new Date()) {
+    if (schedule.frequency === 'threshold') return null;
+
+    const next = new Date(from);
+    next.setHours(schedule.runHour || 0, 0, 0, 0);
+    if (next <= from) next.setDate(next.getDate() + 1);
+
+    if (schedule.frequency === 'weekly') {
+        while (next.getDay() !== schedule.weekday) {
+            next.setDate(next.getDate() + 1);
+        }
+    }
+    return next;
+}
+
+/**
+ * Validate schedule input from the merchant dashboard
+ * Bank destinations are checked against the IFSC directory.
+ * @returns {Promise<{ error: string } | { values: Object }>}
+ */
+async function validateSchedule(input) {
+    const frequency = input.frequency;
+    if (!FREQUENCIES.includes(frequency)) {
+        return { error: 'Invalid frequency. Use daily, weekly or threshold' };
+    }
+
+    const values = {
+        frequency,
+        weekday: null,
+        runHour: 10,
+        thresholdAmount: null,
+        minAmount: parseFloat(input.minAmount) || 0,
+        isActive: input.isActive !== false
+    };
+
+    if (frequency !== 'threshold') {
+        const runHour = parseInt(input.runHour);
+        if (isNaN(runHour) || runHour < 0 || runHour > 23) {
+            return { error: 'Run hour must be between 0 and 23' };
+        }
+        values.runHour = runHour;
+    }
+
+    if (frequency === 'weekly') {
+        const weekday = parseInt(input.weekday);
+        if (isNaN(weekday) || weekday < 0 || weekday > 6) {
+            return { error: 'Weekday must be between 0 (Sunday) and 6 (Saturday)' };
+        }
+        values.weekday = weekday;
+    }
+
+    if (frequency === 'threshold') {
+        const threshold = parseFloat(input.thresholdAmount);
+        if (isNaN(threshold) || threshold <= 0) {
+            return { error: 'Threshold amount is required' };
+        }
+        values.thresholdAmount = threshold;
+    }
+
+    if (values.minAmount < 0) {
+        return { error: 'Minimum amount cannot be negative' };
+    }
+
+    const destination = input.destination || {};
+    if (input.destinationType === 'usdt') {
+        const network = String(destination.network || '').toUpperCase();
+        if (!destination.walletAddress || !usdtPayout.NETWORKS.includes(network)) {
+            return { error: 'USDT destination needs walletAddress and network (TRC20, ERC20, BEP20)' };
+        }
+        const addressError = usdtPayout.validateAddress(network, destination.walletAddress);
+        if (addressError) {
+            return { error: addressError };
+        }
+        if (values.minAmount < USDT_MIN_SETTLEMENT) {
+            return { error: `Minimum USDT settlement is ₹${USDT_MIN_SETTLEMENT.toLocaleString('en-IN')}` };
+        }
+        values.destinationType = 'usdt';
+        values.destination = { walletAddress: String(destination.walletAddress).trim(), network };
+    } else if (input.destinationType === 'bank') {
+        if (!destination.account || !destination.personName || !destination.ifsc) {
+            return { error: 'Bank destination needs account, IFSC and personName' };
+        }
+        const bank = await ifscDirectory.resolve(destination.ifsc);
+        if (bank.error) {
+            return { error: bank.error };
+        }
+        values.destinationType = 'bank';
+        values.destination = {
+            account: String(destination.account).trim(),
+            ifsc: bank.details.ifsc,
+            personName: String(destination.personName).trim()
+        };
+    } else {
+        return { error: 'Destination type must be usdt or bank' };
+    }
+
+    if (values.thresholdAmount !== null && values.thresholdAmount < values.minAmount) {
+        return { error: 'Threshold amount cannot be below the minimum amount' };
+    }
+
+    return { values };
+}
+
+/**
+ * Run one cycle for a schedule: settle the full available balance
+ * @returns {Promise<string>} result summary stored on the schedule
+ */
+async function runSchedule(schedule) {
+    const t = await sequelize.transaction();
+
+    try {
+        const merchant = await User.findByPk(schedule.merchantId, { transaction: t, lock: t.LOCK.UPDATE });
+        if (!merchant || !merchant.isActive) {
+            await t.rollback();
+            return 'skipped: merchant inactive';
+        }
+
+        const amount = Math.floor((parseFloat(merchant.balance) || 0) * 100) / 100;
+        const minAmount = parseFloat(schedule.minAmount) || 0;
+        if (amount <= 0 || amount < minAmount) {
+            await t.rollback();
+            return `skipped: available ₹${amount.toFixed(2)} below minimum ₹${minAmount.toFixed(2)}`;
+        }
+
+        const settlement = await Settlement.create({
+            merchantId: merchant.id,
+            amount,
+            status: 'pending',
+            type: schedule.destinationType,
+            source: 'scheduled',
+            scheduleId: schedule.id,
+            destination: schedule.destination,
+            notes: `Automatic ${schedule.frequency} settlement`
+        }, { transaction: t });
+
+        await ledger.holdSettlement(settlement, t);
+        await t.commit();
+
+        console.log(`[SettlementScheduler] Created settlement ${settlement.id} for ${merchant.username}: ₹${amount.toFixed(2)}`);
+        if (merchant.telegramGroupId) {
+            telegramBot.sendMessage(merchant.telegramGroupId,
+                `🏦 *Automatic Settlement Created*\n\nAmount: ₹${amount.toFixed(2)}\nDestination: ${schedule.destinationType.toUpperCase()}\nStatus: Pending approval`);
+        }
+        return `created: ₹${amount.toFixed(2)} (${settlement.id})`;
+    } catch (error) {
+        await t.rollback();
+        throw error;
+    }
+}
+
+/**
+ * Scheduler tick: run due daily/weekly cycles and reached thresholds
+ */
+async function runDueSchedules() {
+    const now = new Date();
+
+    const timed = await SettlementSchedule.findAll({
+        where: {
+            isActive: true,
+            frequency: { [Op.in]: ['daily', 'weekly'] },
+            nextRunAt: { [Op.lte]: now }
+        }
+    });
+
+    const thresholdSchedules = await SettlementSchedule.findAll({
+        where: { isActive: true, frequency: 'threshold' },
+        include: [{ model: User, as: 'merchant', attributes: ['id', 'balance'] }]
+    });
+    const reached = thresholdSchedules.filter(s =>
+        s.merchant && parseFloat(s.merchant.balance) >= parseFloat(s.thresholdAmount)
+    );
+
+    for (const schedule of [...timed, ...reached]) {
+        let result;
+        try {
+            result = await runSchedule(schedule);
+        } catch (error) {
+            console.error(`[SettlementScheduler] Schedule ${schedule.id} failed:`, error.message);
+            result = `failed: ${error.message}`;
+        }
+
+        await schedule.update({
+            lastRunAt: now,
+            lastResult: result.substring(0, 255),
+            nextRunAt: computeNextRun(schedule, now)
+        });
+    }
+}
+
+module.exports = {
+    computeNextRun,
+    validateSchedule,
+    runSchedule,
+    runDueSchedules
+};
@@ -276,7 +276,7 @@ async function createPayout(data, config = {}) {
         };
     } catch (error) {
         logApiError('createPayout', error, params);
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, noResponse: !error.response };
     }
 }
 
@@ -0,0 +1,178 @@
+/**
+ * Statement Service
+ * Builds merchant account statements from the ledger.
+ * One statement line per journal that touched the merchant's balances.
+ */
+
+const { Op } = require('sequelize');
+const { LedgerEntry, Order, sequelize } = require('../models');
+const { ACCOUNTS } = require('./ledger');
+
+const MAX_LIMIT = 500;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Merchant ledger accounts -> statement field names
+const BUCKETS = [
+    { account: ACCOUNTS.MERCHANT_AVAILABLE, balance: 'availableBalance', change: 'amount' },
+    { account: ACCOUNTS.MERCHANT_PENDING, balance: 'pendingBalance', change: 'pendingAmount' },
+    { account: ACCOUNTS.MERCHANT_UNSETTLED, balance: 'unsettledBalance', change: 'unsettledAmount' },
+    { account: ACCOUNTS.MERCHANT_RESERVE, balance: 'reservedBalance', change: 'reservedAmount' }
+];
+const BALANCE_ACCOUNTS = BUCKETS.map(b => b.account);
+const FEE_ACCOUNTS = [ACCOUNTS.FEE_REVENUE, ACCOUNTS.FEE_HOLD];
+
+const toPaise = (value) => Math.round(parseFloat(value || 0) * 100);
+const toAmount = (paise) => parseFloat((paise / 100).toFixed(2));
+const signed = (entry) => entry.direction === 'credit' ? toPaise(entry.amount) : -toPaise(entry.amount);
+
+/**
+ * Resolve the statement period. Date-only end dates include the whole day.
+ */
+function parsePeriod(startDate, endDate) {
+    const end = endDate ? new Date(endDate) : new Date();
+    if (endDate && DATE_ONLY.test(endDate)) end.setDate(end.getDate() + 1);
+
+    const start = startDate ? new Date(startDate) : new Date(end.getTime() - 24 * 60 * 60 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+    if (start >= end) return null;
+    return { start, end };
+}
+
+/**
+ * Net balance of each merchant account over entries matching `filter`
+ */
+async function sumBalances(merchantId, filter) {
+    const rows = await LedgerEntry.findAll({
+        where: { merchantId, account: { [Op.in]: BALANCE_ACCOUNTS }, ...filter },
+        attributes: [
+            'account',
+            [sequelize.literal("SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END)"), 'net']
+        ],
+        group: ['account'],
+        raw: true
+    });
+
+    const totals = Object.fromEntries(BALANCE_ACCOUNTS.map(account => [account, 0]));
+    for (const row of rows) {
+        totals[row.account] = toPaise(row.net);
+    }
+    return totals;
+}
+
+const formatBalances = (totals) => {
+    const result = {};
+    let total = 0;
+    for (const bucket of BUCKETS) {
+        result[bucket.balance] = toAmount(totals[bucket.account]);
+        total += totals[bucket.account];
+    }
+    result.totalBalance = toAmount(total);
+    return result;
+};
+
+/**
+ * Get a merchant statement for a period
+ * @param {number} merchantId
+ * @param {Object} options - { startDate, endDate, page, limit }
+ * @returns {Promise<Object|null>} null if the period is invalid
+ */
+async function getStatement(merchantId, { startDate, endDate, page = 1, limit = 100 } = {}) {
+    const period = parsePeriod(startDate, endDate);
+    if (!period) return null;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIMIT);
+    const inPeriod = { [Op.gte]: period.start, [Op.lt]: period.end };
+
+    const opening = await sumBalances(merchantId, { createdAt: { [Op.lt]: period.start } });
+    const movement = await sumBalances(merchantId, { createdAt: inPeriod });
+    const closing = Object.fromEntries(BALANCE_ACCOUNTS.map(account => [account, opening[account] + movement[account]]));
+
+    // Journals that moved this merchant's balances, oldest first
+    const balanceWhere = { merchantId, account: { [Op.in]: BALANCE_ACCOUNTS }, createdAt: inPeriod };
+    const total = await LedgerEntry.count({ where: balanceWhere, distinct: true, col: 'journalId' });
+    const journals = await LedgerEntry.findAll({
+        where: balanceWhere,
+        attributes: ['journalId', [sequelize.fn('MIN', sequelize.col('id')), 'firstId']],
+        group: ['journalId'],
+        order: [[sequelize.literal('firstId'), 'ASC']],
+        limit: pageSize,
+        offset: (pageNum - 1) * pageSize,
+        raw: true
+    });
+
+    const journalIds = journals.map(j => j.journalId);
+    const entries = journalIds.length === 0 ? [] : await LedgerEntry.findAll({
+        where: { merchantId, journalId: { [Op.in]: journalIds } },
+        order: [['id', 'ASC']],
+        raw: true
+    });
+
+    const orderIds = [...new Set(entries.filter(e => e.referenceType === 'order').map(e => e.referenceId))];
+    const orders = orderIds.length === 0 ? [] : await Order.findAll({
+        where: { id: { [Op.in]: orderIds } },
+        attributes: ['id', 'orderId', 'type'],
+        raw: true
+    });
+    const orderMap = Object.fromEntries(orders.map(o => [o.id, o]));
+
+    const built = journalIds.map(journalId => {
+        const journalEntries = entries.filter(e => e.journalId === journalId);
+        const first = journalEntries[0];
+        const line = {
+            date: new Date(first.createdAt).toISOString(),
+            journalId,
+            type: first.entryType,
+            referenceType: first.referenceType,
+            referenceId: first.referenceId,
+            orderId: first.referenceType === 'order' && orderMap[first.referenceId] ? orderMap[first.referenceId].orderId : null,
+            description: first.description,
+            fee: 0
+        };
+
+        const changes = Object.fromEntries(BALANCE_ACCOUNTS.map(account => [account, 0]));
+        const after = {};
+        let fee = 0;
+        for (const entry of journalEntries) {
+            if (BALANCE_ACCOUNTS.includes(entry.account)) {
+                changes[entry.account] += signed(entry);
+                after[entry.account] = toPaise(entry.balanceAfter);
+            } else if (FEE_ACCOUNTS.includes(entry.account)) {
+                fee += signed(entry);
+            }
+        }
+
+        for (const bucket of BUCKETS) line[bucket.change] = toAmount(changes[bucket.account]);
+        line.fee = toAmount(fee);
+        return { line, changes, after };
+    });
+
+    // Running balances: accounts a journal did not touch carry over from the previous line
+    let running = null;
+    const lines = [];
+    for (const { line, changes, after } of built) {
+        if (!running) {
+            const firstId = await LedgerEntry.min('id', { where: { journalId: line.journalId } });
+            running = await sumBalances(merchantId, { id: { [Op.lt]: firstId } });
+        }
+        for (const bucket of BUCKETS) {
+            running[bucket.account] = after[bucket.account] !== undefined
+                ? after[bucket.account]
+                : running[bucket.account] + changes[bucket.account];
+            line[bucket.balance] = toAmount(running[bucket.account]);
+        }
+        lines.push(line);
+    }
+
+    return {
+        period: { startDate: period.start.toISOString(), endDate: period.end.toISOString() },
+        currency: 'INR',
+        opening: formatBalances(opening),
+        closing: formatBalances(closing),
+        lines,
+        pagination: { total, page: pageNum, limit: pageSize, pages: Math.ceil(total / pageSize) }
+    };
+}
+
+module.exports = { getStatement, parsePeriod };
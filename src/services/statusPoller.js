@@ -0,0 +1,201 @@
+/**
+ * Status Poller Service
+ * Asks the upstream about orders still waiting for a provider callback.
+ *
+ * Each pending payin and pending/processing payout or refund is queried
+ * after the delays in STATUS_POLL_DELAYS (minutes after creation). A final
+ * status found this way goes through the same transitions as a callback
+ * (orderStatus service) and is recorded with statusSource 'poll'.
+ *
+ * Merchants can also trigger a single query (refreshOrder), rate limited
+ * per order and recorded with statusSource 'query'.
+ */
+
+const { Op } = require('sequelize');
+const { Order } = require('../models');
+const channelRouter = require('./channelRouter');
+const orderStatus = require('./orderStatus');
+
+const POLL_BATCH = 100;
+const DEFAULT_DELAYS = [2, 5, 15, 30, 60, 180];
+// Orders older than this are left for manual review
+const MAX_POLL_AGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * Poll delays in ms, from "2,5,15" (minutes)
+ */
+function parseDelays(value) {
+    if (!value) return DEFAULT_DELAYS.map(min => min * 60 * 1000);
+    const delays = String(value).split(',')
+        .map(part => parseFloat(part))
+        .filter(min => min > 0)
+        .sort((a, b) => a - b);
+    return (delays.length > 0 ? delays : DEFAULT_DELAYS).map(min => min * 60 * 1000);
+}
+
+const POLL_DELAYS_MS = parseDelays(process.env.STATUS_POLL_DELAYS);
+const REFRESH_INTERVAL_MS = (parseInt(process.env.ORDER_REFRESH_INTERVAL_SECONDS) || 60) * 1000;
+
+/**
+ * Whether the order is still waiting for a final upstream status
+ */
+function isAwaitingUpstream(order) {
+    if (order.type === 'payin') return order.status === 'pending';
+    if (order.payoutType === 'usdt') return false;
+    // Pending batch items have not been sent to the provider yet
+    return order.status === 'processing' || (order.status === 'pending' && !order.batchId);
+}
+
+/**
+ * Query the upstream for one order
+ * @returns {Promise<Object|null>} adapter query result, or null if the query failed
+ */
+async function queryUpstream(order) {
+    // Smart channel orders are queried on the channel that took the order
+    const channelName = order.actualChannel || order.channelName;
+    try {
+        const result = order.type === 'payin'
+            ? await channelRouter.queryPayin(channelName, order.orderId)
+            : await channelRouter.queryPayout(channelName, order.orderId);
+        if (!result.success) {
+            console.warn(`[StatusPoller] Query failed for ${order.orderId} (${channelName}): ${result.error}`);
+            return null;
+        }
+        return result;
+    } catch (error) {
+        console.error(`[StatusPoller] Query exception for ${order.orderId}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Query the upstream and apply a final status through the normal transitions
+ * @param {Object} order - Order row
+ * @param {string} source - 'poll' or 'query'
+ * @returns {Promise<boolean>} true if the order was updated
+ */
+async function syncFromUpstream(order, source) {
+    const result = await queryUpstream(order);
+    if (!result) return false;
+
+    const update = {
+        status: result.status,
+        utr: result.utr,
+        providerOrderId: result.providerOrderId,
+        data: { ...result, polledAt: new Date().toISOString() },
+        source
+    };
+
+    if (order.type === 'payin') {
+        // Only success is taken from a query. Some providers report unpaid
+        // orders as failed; those are left to the order expiry job.
+        if (result.status !== 'success') return false;
+        return orderStatus.applyPayinStatus(order, {
+            ...update,
+            actualAmount: parseFloat(result.realAmount || result.amount)
+        });
+    }
+
+    if (!orderStatus.FINAL_PAYOUT_STATUSES.includes(result.status)) return false;
+    return orderStatus.applyPayoutStatus(order, update);
+}
+
+/**
+ * Poll one order and apply a final upstream status
+ * @returns {Promise<boolean>} true if the order was updated
+ */
+async function pollOrder(order) {
+    const attempts = (order.pollAttempts || 0) + 1;
+    const nextDelay = POLL_DELAYS_MS[attempts];
+    await order.update({
+        pollAttempts: attempts,
+        nextPollAt: nextDelay !== undefined ? new Date(new Date(order.createdAt).getTime() + nextDelay) : null
+    });
+
+    return syncFromUpstream(order, 'poll');
+}
+
+/**
+ * Merchant-requested refresh (query with refresh=true), at most once per
+ * REFRESH_INTERVAL_MS per order across all instances
+ * @returns {Promise<{ retryAfter: number } | { refreshed: boolean }>}
+ *   retryAfter is in seconds; order is reloaded when refreshed
+ */
+async function refreshOrder(order) {
+    if (!isAwaitingUpstream(order)) return { refreshed: false };
+
+    const now = new Date();
+    const [claimed] = await Order.update({ lastRefreshAt: now }, {
+        where: {
+            id: order.id,
+            [Op.or]: [
+                { lastRefreshAt: null },
+                { lastRefreshAt: { [Op.lte]: new Date(now.getTime() - REFRESH_INTERVAL_MS) } }
+            ]
+        }
+    });
+
+    if (!claimed) {
+        const last = order.lastRefreshAt ? new Date(order.lastRefreshAt).getTime() : now.getTime();
+        return { retryAfter: Math.max(1, Math.ceil((last + REFRESH_INTERVAL_MS - now.getTime()) / 1000)) };
+    }
+
+    await syncFromUpstream(order, 'query');
+    await order.reload();
+    return { refreshed: true };
+}
+
+/**
+ * Scheduler job: poll orders whose next poll is due
+ */
+async function pollStuckOrders() {
+    const now = new Date();
+
+    const orders = await Order.findAll({
+        where: {
+            [Op.and]: [
+                {
+                    [Op.or]: [
+                        { type: 'payin', status: 'pending' },
+                        // USDT payouts are paid by hand, not by a provider; pending batch
+                        // items have not been sent to the provider yet
+                        {
+                            type: ['payout', 'refund'],
+                            payoutType: { [Op.or]: { [Op.is]: null, [Op.ne]: 'usdt' } },
+                            [Op.or]: [{ status: 'processing' }, { status: 'pending', batchId: null }]
+                        }
+                    ]
+                },
+                {
+                    [Op.or]: [
+                        { nextPollAt: { [Op.lte]: now } },
+                        { nextPollAt: null, pollAttempts: 0, createdAt: { [Op.lte]: new Date(now.getTime() - POLL_DELAYS_MS[0]) } }
+                    ]
+                }
+            ],
+            pollAttempts: { [Op.lt]: POLL_DELAYS_MS.length },
+            createdAt: { [Op.gte]: new Date(now.getTime() - MAX_POLL_AGE_MS) }
+        },
+        order: [['createdAt', 'ASC']],
+        limit: POLL_BATCH
+    });
+
+    let updated = 0;
+    for (const order of orders) {
+        try {
+            if (await pollOrder(order)) updated++;
+        } catch (error) {
+            console.error(`[StatusPoller] Order ${order.orderId} failed:`, error.message);
+        }
+    }
+
+    if (updated > 0) {
+        console.log(`[StatusPoller] Polled ${orders.length} order(s), ${updated} updated from upstream`);
+    }
+}
+
+module.exports = {
+    pollOrder,
+    refreshOrder,
+    pollStuckOrders
+};
@@ -1,6 +1,7 @@
 const TelegramBot = require('node-telegram-bot-api');
 const { User, Order } = require('../models'); // Ensure models are imported
 const { Op } = require('sequelize');
+const { resolveExpireMinutes } = require('./limits');
 
 let bot = null;
 
@@ -31,17 +32,17 @@ const init = (token) => {
         // /help command
         bot.onText(/\/help/, (msg) => {
             const chatId = msg.chat.id;
-            bot.sendMessage(chatId, `🛠 **Available Commands**\n\n💰 \`/data\` - View Account Balance & Status\n📊 \`/stats\` - View Success Rates\n🔗 \`/link <amount>\` - Generate Payment Link\n🔍 \`/check <orderId>\` - Check Order Status\n🔄 \`/callback <orderId>\` - Trigger Callback Manually\n🆔 \`/id\` - Get Group/Chat ID\n❓ \`/help\` - Show this help menu`, { parse_mode: 'Markdown' });
+            bot.sendMessage(chatId, `🛠 **Available Commands**\n\n💰 \`/data\` - View Account Balance & Status\n📊 \`/stats\` - View Success Rates\n🔗 \`/link <amount> [minutes]\` - Generate Payment Link\n🔍 \`/check <orderId>\` - Check Order Status\n🔄 \`/callback <orderId>\` - Trigger Callback Manually\n🆔 \`/id\` - Get Group/Chat ID\n❓ \`/help\` - Show this help menu`, { parse_mode: 'Markdown' });
         });
 
         // /link command - Generate payment link
         bot.onText(/\/link (.+)/, async (msg, match) => {
             const chatId = msg.chat.id;
-            const amountStr = match[1];
+            const [amountStr, minutesStr] = match[1].trim().split(/\s+/);
             const amount = parseFloat(amountStr);
 
             if (isNaN(amount) || amount <= 0) {
-                return bot.sendMessage(chatId, '❌ Invalid amount. Usage: /link 200');
+                return bot.sendMessage(chatId, '❌ Invalid amount. Usage: /link 200 [minutes]');
             }
 
             const merchant = await getMerchant(chatId);
@@ -53,6 +54,11 @@ const init = (token) => {
                 return bot.sendMessage(chatId, '❌ PayIn is disabled for this merchant.');
             }
 
+            const expiry = resolveExpireMinutes(merchant, minutesStr);
+            if (expiry.error) {
+                return bot.sendMessage(chatId, `❌ ${expiry.error}`);
+            }
+
             if (!merchant.assignedChannel) {
                 return bot.sendMessage(chatId, '❌ No payment channel assigned to this merchant.');
             }
@@ -80,7 +86,7 @@ const init = (token) => {
                     channelName: merchant.assignedChannel,
                     callbackUrl: merchant.callbackUrl || null,
                     skipUrl: `${APP_URL}/pay/success`,
-                    expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 min expiry
+                    expiresAt: new Date(Date.now() + expiry.minutes * 60 * 1000)
                 });
 
                 const paymentLink = `${APP_URL}/pay/${order.id}`;
@@ -95,7 +101,7 @@ const init = (token) => {
 🔗 **Click to Pay:**
 ${paymentLink}
 
-⏳ _Link valid for 30 minutes_
+⏳ _Link valid for ${expiry.minutes} minutes_
                 `;
 
                 bot.sendMessage(chatId, response, { parse_mode: 'Markdown' });
@@ -142,6 +148,8 @@ Copy the ID above to bind this group to a merchant.
 👤 **Merchant:** \`${merchant.username}\`
 💰 **Balance:** ₹${parseFloat(merchant.balance).toFixed(2)}
 ⏳ **Pending:** ₹${parseFloat(merchant.pendingBalance).toFixed(2)}
+🕒 **Unsettled (T+${merchant.settlementDelayDays || 0}):** ₹${parseFloat(merchant.unsettledBalance || 0).toFixed(2)}
+🔒 **Reserve (${parseFloat(merchant.reservePercent || 0)}% / ${merchant.reserveDays || 0}d):** ₹${parseFloat(merchant.reservedBalance || 0).toFixed(2)}
 
 ✅ **Status:** ${merchant.isActive ? 'Active' : 'Inactive'}
 📥 **PayIn:** ${merchant.canPayin ? 'On' : 'Off'} | 📤 **Payout:** On
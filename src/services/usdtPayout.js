@@ -0,0 +1,169 @@
+/**
+ * USDT Payout Service
+ * USDT payouts are not sent to a payment channel. They wait as 'pending' in
+ * the admin USDT payout queue, an admin sends the USDT from the platform
+ * wallet and then completes the order with the network, tx hash and amount
+ * actually sent. Completing releases the held balance and sends the success
+ * callback; rejecting refunds the merchant and sends the failed callback.
+ */
+
+const crypto = require('crypto');
+const { keccak256 } = require('js-sha3');
+const { Order } = require('../models');
+const orderStatus = require('./orderStatus');
+
+const NETWORKS = ['TRC20', 'ERC20', 'BEP20'];
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const TRON_ADDRESS_PREFIX = 0x41;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+/**
+ * Decode a base58 string
+ * @returns {Buffer|null} null if it has characters outside the alphabet
+ */
+function base58Decode(value) {
+    let number = 0n;
+    for (const char of value) {
+        const digit = BASE58_ALPHABET.indexOf(char);
+        if (digit === -1) return null;
+        number = number * 58n + BigInt(digit);
+    }
+
+    let hex = number.toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    const body = number > 0n ? Buffer.from(hex, 'hex') : Buffer.alloc(0);
+
+    // Each leading '1' is a leading zero byte
+    let zeros = 0;
+    while (zeros < value.length && value[zeros] === '1') zeros++;
+    return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+/**
+ * TRC20 (TRON) address: base58check of 0x41 + 20 bytes, e.g. T...
+ */
+function isValidTronAddress(address) {
+    if (address.length !== 34) return false;
+    const bytes = base58Decode(address);
+    if (!bytes || bytes.length !== 25 || bytes[0] !== TRON_ADDRESS_PREFIX) return false;
+
+    const payload = bytes.subarray(0, 21);
+    const checksum = sha256(sha256(payload)).subarray(0, 4);
+    return checksum.equals(bytes.subarray(21));
+}
+
+/**
+ * ERC20/BEP20 address: 0x + 40 hex. Mixed-case addresses must match their
+ * EIP-55 checksum; all-lowercase or all-uppercase ones carry no checksum.
+ */
+function isValidEvmAddress(address) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return false;
+
+    const body = address.slice(2);
+    if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+
+    const hash = keccak256(body.toLowerCase());
+    for (let i = 0; i < 40; i++) {
+        const expectUpper = parseInt(hash[i], 16) >= 8;
+        if (/[a-f]/i.test(body[i]) && (body[i] === body[i].toUpperCase()) !== expectUpper) return false;
+    }
+    return true;
+}
+
+/**
+ * Check a wallet address for a USDT network
+ * @returns {string|null} error message
+ */
+function validateAddress(network, address) {
+    const value = String(address || '').trim();
+    if (!value) return 'Wallet address is required';
+
+    if (network === 'TRC20') {
+        return isValidTronAddress(value) ? null : 'Invalid TRC20 wallet address';
+    }
+    if (network === 'ERC20' || network === 'BEP20') {
+        return isValidEvmAddress(value) ? null : `Invalid ${network} wallet address (checksum mismatch or bad format)`;
+    }
+    return 'Invalid network. Supported: TRC20, ERC20, BEP20';
+}
+
+/**
+ * Check a transaction hash for a USDT network (TRON hashes have no 0x)
+ */
+function isValidTxHash(network, txHash) {
+    return network === 'TRC20'
+        ? /^[0-9a-fA-F]{64}$/.test(txHash)
+        : /^0x[0-9a-fA-F]{64}$/.test(txHash);
+}
+
+async function findPending(id) {
+    return Order.findOne({
+        where: { id: String(id), type: 'payout', payoutType: 'usdt', status: 'pending' }
+    });
+}
+
+/**
+ * Complete a USDT payout after the transfer was sent
+ * @param {Object} admin - User row of the admin
+ * @param {string} id - order id
+ * @param {Object} transfer - { network, txHash, usdtSent }
+ * @returns {Promise<{ error: string } | { order: Object }>}
+ */
+async function completePayout(admin, id, { network, txHash, usdtSent }) {
+    const sentNetwork = String(network || '').toUpperCase();
+    const hash = String(txHash || '').trim();
+    const sent = parseFloat(usdtSent);
+
+    if (!NETWORKS.includes(sentNetwork)) return { error: 'Invalid network. Supported: TRC20, ERC20, BEP20' };
+    if (!isValidTxHash(sentNetwork, hash)) return { error: `Invalid ${sentNetwork} transaction hash` };
+    if (isNaN(sent) || sent <= 0) return { error: 'USDT sent must be a positive amount' };
+
+    const order = await findPending(id);
+    if (!order) return { error: 'USDT payout not found or already processed' };
+
+    const reused = await Order.findOne({ where: { payoutType: 'usdt', utr: hash }, attributes: ['orderId'] });
+    if (reused) return { error: `Transaction hash already recorded for ${reused.orderId}` };
+
+    const completed = await orderStatus.applyPayoutStatus(order, {
+        status: 'success',
+        fromStatus: 'pending',
+        utr: hash,
+        data: { network: sentNetwork, txHash: hash, usdtSent: sent },
+        details: { sentNetwork, txHash: hash, usdtSent: sent, processedBy: admin.username, processedAt: new Date().toISOString() },
+        source: 'admin'
+    });
+    if (!completed) return { error: 'USDT payout was already processed' };
+
+    console.log(`[UsdtPayout] ${order.orderId} completed by ${admin.username}: ${sent} USDT on ${sentNetwork} (${hash})`);
+    return { order };
+}
+
+/**
+ * Reject a USDT payout: refunds the hold and sends the failed callback
+ * @returns {Promise<{ error: string } | { order: Object }>}
+ */
+async function rejectPayout(admin, id, reason) {
+    const order = await findPending(id);
+    if (!order) return { error: 'USDT payout not found or already processed' };
+
+    const note = String(reason || '').trim().slice(0, 255) || 'Rejected by admin';
+    const rejected = await orderStatus.applyPayoutStatus(order, {
+        status: 'failed',
+        fromStatus: 'pending',
+        data: { error: note },
+        details: { rejectReason: note, processedBy: admin.username, processedAt: new Date().toISOString() },
+        source: 'admin'
+    });
+    if (!rejected) return { error: 'USDT payout was already processed' };
+
+    console.log(`[UsdtPayout] ${order.orderId} rejected by ${admin.username}: ${note}`);
+    return { order };
+}
+
+module.exports = {
+    NETWORKS,
+    validateAddress,
+    completePayout,
+    rejectPayout
+};